@@ -9,8 +9,10 @@ const compression = require('compression');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const xlsx = require('xlsx');
+const Papa = require('papaparse');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -21,6 +23,284 @@ const STEAM_STORE_API_BASE = 'https://store.steampowered.com/api';
 // 캐시 설정 (TTL: 1시간)
 const cache = new NodeCache({ stdTTL: 3600 });
 
+// 크롤링 결과 캐시 비우기 (셀렉터/게임명 정리 규칙 변경 시)
+function clearScrapeCache() {
+    const staleKeys = cache.keys().filter(key => key.startsWith('game_single_') || key.startsWith('gamelist_'));
+    cache.del(staleKeys);
+}
+
+// 데이터 저장 폴더 (카탈로그 인덱스 등 JSON 파일)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// JSON 파일 읽기 (없거나 손상되면 기본값)
+function readJsonFile(filePath, fallback) {
+    try {
+        if (fs.existsSync(filePath)) {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        }
+    } catch (error) {
+        console.error(`JSON 파일 읽기 오류 (${filePath}):`, error.message);
+    }
+    return fallback;
+}
+
+// JSON 파일 저장 (임시 파일에 쓴 뒤 교체해 중간에 끊겨도 손상되지 않게)
+function writeJsonFile(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+}
+
+// 외부 요청 설정 (도메인별 요청 간격/동시 요청 수, 프록시 목록)
+// 설정 파일(OUTBOUND_CONFIG_FILE, JSON)이 있으면 우선 적용하고 환경 변수로 기본값 조정
+const OUTBOUND_CONFIG_FILE = process.env.OUTBOUND_CONFIG_FILE || path.join(__dirname, 'outbound.config.json');
+
+const DEFAULT_OUTBOUND_CONFIG = {
+    default: {
+        minIntervalMs: parseInt(process.env.OUTBOUND_MIN_INTERVAL_MS) || 0,
+        jitterMs: parseInt(process.env.OUTBOUND_JITTER_MS) || 0,
+        maxConcurrent: parseInt(process.env.OUTBOUND_MAX_CONCURRENT) || 4
+    },
+    domains: {
+        'store.steampowered.com': { minIntervalMs: 500, jitterMs: 250, maxConcurrent: 2 },
+        'cdkeys.com': { minIntervalMs: 1000, jitterMs: 500, maxConcurrent: 2 },
+        'loaded.com': { minIntervalMs: 1000, jitterMs: 500, maxConcurrent: 2 }
+    },
+    proxies: (process.env.OUTBOUND_PROXIES || '').split(',').map(proxy => proxy.trim()).filter(Boolean),
+    proxyDomains: [],            // 비어 있으면 모든 도메인에 프록시 사용
+    proxyFailureThreshold: parseInt(process.env.PROXY_FAILURE_THRESHOLD) || 3,
+    proxyCooldownMs: parseInt(process.env.PROXY_COOLDOWN_MS) || 5 * 60 * 1000
+};
+
+function loadOutboundConfig() {
+    const fileConfig = readJsonFile(OUTBOUND_CONFIG_FILE, {});
+    return {
+        ...DEFAULT_OUTBOUND_CONFIG,
+        ...fileConfig,
+        default: { ...DEFAULT_OUTBOUND_CONFIG.default, ...(fileConfig.default || {}) },
+        domains: { ...DEFAULT_OUTBOUND_CONFIG.domains, ...(fileConfig.domains || {}) }
+    };
+}
+
+const outboundConfig = loadOutboundConfig();
+
+// 호스트명에 해당하는 도메인 규칙 (하위 도메인 포함, 가장 구체적인 규칙 우선)
+function getDomainRule(hostname) {
+    const domain = Object.keys(outboundConfig.domains)
+        .filter(candidate => hostname === candidate || hostname.endsWith(`.${candidate}`))
+        .sort((a, b) => b.length - a.length)[0];
+    
+    return {
+        key: domain || hostname,
+        ...outboundConfig.default,
+        ...(domain ? outboundConfig.domains[domain] : {})
+    };
+}
+
+function getRequestHostname(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch (error) {
+        return '';
+    }
+}
+
+// 도메인별 요청 제한 상태
+const domainThrottles = new Map();
+
+function getDomainThrottle(url) {
+    const rule = getDomainRule(getRequestHostname(url));
+    if (!domainThrottles.has(rule.key)) {
+        domainThrottles.set(rule.key, {
+            rule,
+            active: 0,
+            waiters: [],
+            nextAvailableAt: 0,
+            timer: null,
+            requests: 0,
+            totalWaitMs: 0
+        });
+    }
+    return domainThrottles.get(rule.key);
+}
+
+// 대기 중인 요청에 순서대로 슬롯 배정 (동시 요청 수 + 최소 간격 + 무작위 지연)
+function pumpDomainThrottle(throttle) {
+    if (throttle.timer) return;
+    
+    while (throttle.waiters.length > 0 && throttle.active < throttle.rule.maxConcurrent) {
+        const waitMs = throttle.nextAvailableAt - Date.now();
+        if (waitMs > 0) {
+            throttle.timer = setTimeout(() => {
+                throttle.timer = null;
+                pumpDomainThrottle(throttle);
+            }, waitMs);
+            return;
+        }
+        
+        const waiter = throttle.waiters.shift();
+        throttle.active++;
+        throttle.requests++;
+        throttle.totalWaitMs += Date.now() - waiter.queuedAt;
+        throttle.nextAvailableAt = Date.now() + throttle.rule.minIntervalMs + Math.round(Math.random() * throttle.rule.jitterMs);
+        
+        let released = false;
+        waiter.resolve(() => {
+            if (released) return;
+            released = true;
+            throttle.active--;
+            pumpDomainThrottle(throttle);
+        });
+    }
+}
+
+// 도메인 요청 슬롯 대여 (반환값은 요청 완료 후 호출할 release 함수)
+function acquireDomainSlot(url) {
+    const throttle = getDomainThrottle(url);
+    return new Promise((resolve) => {
+        throttle.waiters.push({ resolve, queuedAt: Date.now() });
+        pumpDomainThrottle(throttle);
+    });
+}
+
+// 프록시 주소 파싱 (스킴이 없으면 http, 잘못된 주소면 null)
+function parseProxyUrl(proxyUrl) {
+    try {
+        const parsed = new URL(proxyUrl.includes('://') ? proxyUrl : `http://${proxyUrl}`);
+        return parsed.hostname ? parsed : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// 프록시 목록 상태 (연속 실패 시 일정 시간 제외 후 다시 사용, 잘못된 주소는 경고 후 제외)
+const proxyPool = (Array.isArray(outboundConfig.proxies) ? outboundConfig.proxies : [])
+    .filter(proxyUrl => {
+        if (typeof proxyUrl === 'string' && parseProxyUrl(proxyUrl)) return true;
+        console.warn(`⚠️ 잘못된 프록시 주소 제외: ${proxyUrl}`);
+        return false;
+    })
+    .map(proxyUrl => ({
+        url: proxyUrl,
+        parsed: parseProxyUrl(proxyUrl),
+        failures: 0,
+        successes: 0,
+        cooldownUntil: 0,
+        lastError: null
+    }));
+let proxyCursor = 0;
+
+function usesProxy(url) {
+    if (proxyPool.length === 0) return false;
+    if (!outboundConfig.proxyDomains || outboundConfig.proxyDomains.length === 0) return true;
+    
+    const hostname = getRequestHostname(url);
+    return outboundConfig.proxyDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+// 다음 프록시 선택 (라운드 로빈, 모두 쉬는 중이면 가장 먼저 풀리는 프록시)
+function pickProxy(url) {
+    if (!usesProxy(url)) return null;
+    
+    const now = Date.now();
+    for (let i = 0; i < proxyPool.length; i++) {
+        const proxy = proxyPool[(proxyCursor + i) % proxyPool.length];
+        if (proxy.cooldownUntil <= now) {
+            proxyCursor = (proxyCursor + i + 1) % proxyPool.length;
+            return proxy;
+        }
+    }
+    
+    return proxyPool.reduce((earliest, proxy) => proxy.cooldownUntil < earliest.cooldownUntil ? proxy : earliest);
+}
+
+function markProxyResult(proxy, ok, error = null) {
+    if (!proxy) return;
+    
+    if (ok) {
+        proxy.successes++;
+        proxy.failures = 0;
+        return;
+    }
+    
+    proxy.failures++;
+    proxy.lastError = error ? error.message : null;
+    if (proxy.failures >= outboundConfig.proxyFailureThreshold) {
+        proxy.cooldownUntil = Date.now() + outboundConfig.proxyCooldownMs;
+        proxy.failures = 0;
+        console.warn(`🚧 프록시 일시 제외 (${outboundConfig.proxyCooldownMs}ms): ${proxy.parsed.host} - ${proxy.lastError}`);
+    }
+}
+
+// 프록시 문제로 보이는 오류 (응답 없음, 프록시 인증 실패, 차단/요청 제한)
+function isProxyFailure(error) {
+    const status = error.response && error.response.status;
+    return !error.response || [403, 407, 429].includes(status);
+}
+
+function toAxiosProxy(proxy) {
+    const { parsed } = proxy;
+    return {
+        protocol: parsed.protocol.replace(':', ''),
+        host: parsed.hostname,
+        port: parseInt(parsed.port) || (parsed.protocol === 'https:' ? 443 : 80),
+        ...(parsed.username ? { auth: { username: decodeURIComponent(parsed.username), password: decodeURIComponent(parsed.password) } } : {})
+    };
+}
+
+// 모든 axios 외부 요청의 공통 진입점 (도메인 제한 + 프록시 적용, 프록시 오류 시 다른 프록시로 한 번 재시도)
+async function outboundRequest(config) {
+    const maxAttempts = usesProxy(config.url) ? Math.min(proxyPool.length, 2) : 1;
+    
+    for (let attempt = 1; ; attempt++) {
+        const release = await acquireDomainSlot(config.url);
+        const proxy = pickProxy(config.url);
+        
+        try {
+            const response = await axios({
+                ...config,
+                ...(proxy ? { proxy: toAxiosProxy(proxy) } : {})
+            });
+            markProxyResult(proxy, true);
+            return response;
+        } catch (error) {
+            if (!proxy || !isProxyFailure(error)) throw error;
+            
+            markProxyResult(proxy, false, error);
+            if (attempt >= maxAttempts) throw error;
+            console.warn(`🔁 프록시 오류로 재시도 (${proxy.parsed.host}): ${error.message}`);
+        } finally {
+            release();
+        }
+    }
+}
+
+// 외부 요청 상태 요약 (/api/status 보고용, 프록시 인증 정보는 제외)
+function getOutboundStats() {
+    return {
+        configFile: fs.existsSync(OUTBOUND_CONFIG_FILE) ? OUTBOUND_CONFIG_FILE : null,
+        domains: Array.from(domainThrottles.entries()).map(([domain, throttle]) => ({
+            domain,
+            minIntervalMs: throttle.rule.minIntervalMs,
+            jitterMs: throttle.rule.jitterMs,
+            maxConcurrent: throttle.rule.maxConcurrent,
+            active: throttle.active,
+            queued: throttle.waiters.length,
+            requests: throttle.requests,
+            averageWaitMs: throttle.requests > 0 ? Math.round(throttle.totalWaitMs / throttle.requests) : 0
+        })),
+        proxies: proxyPool.map(proxy => ({
+            host: proxy.parsed.host,
+            healthy: proxy.cooldownUntil <= Date.now(),
+            successes: proxy.successes,
+            failures: proxy.failures,
+            cooldownUntil: proxy.cooldownUntil > Date.now() ? new Date(proxy.cooldownUntil).toISOString() : null,
+            lastError: proxy.lastError
+        }))
+    };
+}
+
 // Express 프록시 설정 (Rate Limit 오류 해결)
 app.set('trust proxy', true);
 
@@ -55,16 +335,59 @@ app.use('/api/', limiter);
 
 // Puppeteer 브라우저 인스턴스 (재사용)
 let browser = null;
+let browserLaunchPromise = null;
 
-// 브라우저 초기화
+// 브라우저 재시작 설정 (N개 페이지 작업 또는 메모리 초과 시 재시작)
+const BROWSER_RECYCLE_PAGES = parseInt(process.env.BROWSER_RECYCLE_PAGES) || 200;
+const BROWSER_RECYCLE_MEMORY_MB = parseInt(process.env.BROWSER_RECYCLE_MEMORY_MB) || 700;
+// 0이면 재시도 안 함 (|| 기본값을 쓰면 0을 지정할 수 없음)
+const BROWSER_CRASH_RETRIES = Number.isNaN(parseInt(process.env.BROWSER_CRASH_RETRIES)) ? 1 : Math.max(0, parseInt(process.env.BROWSER_CRASH_RETRIES));
+
+// 브라우저 수명 상태 (/api/status 보고용)
+const browserState = {
+    launches: 0,
+    crashes: 0,
+    recycles: 0,
+    pagesSinceLaunch: 0,
+    launchedAt: null,
+    lastCrashAt: null,
+    lastRecycleReason: null,
+    recyclePending: null,    // 재시작 대기 사유 (진행 중인 페이지가 끝나면 재시작)
+    closingBrowser: null     // 의도적으로 종료 중인 인스턴스 (크래시로 집계하지 않음)
+};
+
+// 브라우저 연결 끊김 처리 (크래시면 다음 요청 때 자동 재실행)
+function handleBrowserDisconnected(disconnectedBrowser) {
+    if (browser === disconnectedBrowser) {
+        browser = null;
+    }
+    
+    // 죽은 브라우저의 유휴 페이지는 재사용 불가
+    pagePool.idlePages = pagePool.idlePages.filter(page => page.browser() !== disconnectedBrowser);
+    
+    if (browserState.closingBrowser === disconnectedBrowser) {
+        browserState.closingBrowser = null;
+        return;
+    }
+    
+    browserState.crashes++;
+    browserState.lastCrashAt = new Date().toISOString();
+    console.error(`💥 Chromium 연결 끊김 감지 (누적 ${browserState.crashes}회), 다음 요청 시 재실행`);
+}
+
+// 브라우저 초기화 (동시 호출 시 하나의 실행만 공유)
 async function initBrowser() {
-    if (!browser) {
+    if (browser) {
+        return browser;
+    }
+    
+    if (!browserLaunchPromise) {
         console.log('Puppeteer 브라우저 초기화...');
         
         // Chromium 경로 확인
         const chromiumPath = process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/chromium-browser';
         
-        browser = await puppeteer.launch({
+        browserLaunchPromise = puppeteer.launch({
             headless: 'new', // 새로운 Headless 모드 사용
             executablePath: chromiumPath,
             args: [
@@ -79,324 +402,3542 @@ async function initBrowser() {
                 '--disable-features=VizDisplayCompositor'
             ],
             timeout: 60000 // 타임아웃 증가
+        }).then((launchedBrowser) => {
+            browser = launchedBrowser;
+            browser.on('disconnected', () => handleBrowserDisconnected(launchedBrowser));
+            browserState.launches++;
+            browserState.pagesSinceLaunch = 0;
+            browserState.launchedAt = new Date().toISOString();
+            return browser;
+        }).finally(() => {
+            browserLaunchPromise = null;
         });
     }
-    return browser;
+    
+    return browserLaunchPromise;
 }
 
-// 게임명 정리 함수 (PC, DLC 제거 로직 개선)
-function cleanGameName(originalName) {
-    let cleanName = originalName.trim();
+// Chromium 프로세스 메모리 사용량 (MB, Linux /proc 기준)
+function getBrowserMemoryMb() {
+    const browserProcess = browser && browser.process();
+    if (!browserProcess || !browserProcess.pid) return null;
     
-    // wogho님 요청: PC, DLC 등 플랫폼/확장팩 키워드 제거
-    const platformPatterns = [
-        // PC-DLC 관련 (우선 처리)
-        /\s+PC-DLC\s*$/i,                       // 끝에 PC-DLC ✅
-        /\s+\(PC-DLC\)\s*$/i,                   // (PC-DLC)
-        /\s+-\s*PC-DLC\s*$/i,                   // - PC-DLC
-        /\s+PC - DLC\s*$/i,
-        /\s+\(PC\/Mac\)\s*$/i,                  // (PC/Mac)
-        /\s+-\s*PC\/Mac\s*$/i,                  // - PC/Mac
-        /\s+\[PC\/Mac\]\s*$/i,                  // [PC/Mac]
-        /\s+PC\/Mac\s*-\s*$/i,                  // 끝에 PC/Mac -
-        /\s+PC\/Mac\s*-?\s*$/i,                 // PC/Mac - 또는 PC/Mac
-        /\s+PC\/Mac\s+\-\s*$/i,                 // PC/Mac -
-        /\s+\(PC\/Mac\)\s*-?\s*$/i,             // (PC/Mac) - 또는 (PC/Mac)
-                
-        // PC 관련
-        /\s+PC\s*$/i,                           // 끝에 PC
-        /\s+\(PC\)\s*$/i,                       // (PC)
-        /\s+-\s*PC\s*$/i,                       // - PC
-        
-        // DLC 관련
-        /\s+DLC\s*$/i,                          // 끝에 DLC
-        /\s+\(DLC\)\s*$/i,                      // (DLC)
-        /\s+-\s*DLC\s*$/i,                      // - DLC
-        
-        // Steam 관련
-        /\s+Steam\s*$/i,                        // 끝에 Steam
-        /\s+\(Steam\)\s*$/i,                    // (Steam)
-        /\s+-\s*Steam\s*$/i,                    // - Steam
-        /\s+Steam\s+Key\s*$/i,                  // Steam Key
-        /\s+Steam\s+Code\s*$/i,                 // Steam Code
-        
-        // Key/Code 관련
-        /\s+Key\s*$/i,                          // 끝에 Key
-        /\s+Code\s*$/i,                         // 끝에 Code
-        /\s+\(Key\)\s*$/i,                      // (Key)
-        /\s+\(Code\)\s*$/i,                     // (Code)
-        
-        // Digital 관련
-        /\s+Digital\s*$/i,                      // 끝에 Digital
-        /\s+\(Digital\)\s*$/i,                  // (Digital)
-        /\s+Digital\s+Download\s*$/i,           // Digital Download
-        /\s+Download\s*$/i,                     // 끝에 Download
-        
-        // 지역 관련
-        /\s+Global\s*$/i,                       // 끝에 Global
-        /\s+\[Global\]\s*$/i,                   // [Global]
-        /\s+\(Global\)\s*$/i,                   // (Global)
-        /\s+Worldwide\s*$/i,                    // 끝에 Worldwide
-        /\s+\[Worldwide\]\s*$/i,                // [Worldwide]
-        /\s+EU\s*$/i,                           // 끝에 EU
-        /\s+US\s*$/i,                           // 끝에 US
-        /\s+UK\s*$/i,                           // 끝에 UK
-        /\s+ROW\s*$/i,                          // 끝에 ROW (Rest of World)
-        
-        // 기타 불필요한 키워드
-        /\s+Edition\s*$/i,                      // 끝에 Edition (단독으로만)
-        /\s+Game\s*$/i,                         // 끝에 Game
-        /\s+\(Game\)\s*$/i                      // (Game)
-    ];
+    try {
+        const status = fs.readFileSync(`/proc/${browserProcess.pid}/status`, 'utf8');
+        const match = status.match(/VmRSS:\s+(\d+)\s+kB/);
+        return match ? Math.round(parseInt(match[1]) / 1024) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// 페이지 작업 후 재시작이 필요한지 확인
+function checkBrowserRecycle() {
+    if (browserState.recyclePending || !browser) return;
     
-    // 각 패턴을 순차적으로 적용
-    platformPatterns.forEach(pattern => {
-        const beforeClean = cleanName;
-        cleanName = cleanName.replace(pattern, '').trim();
+    if (browserState.pagesSinceLaunch >= BROWSER_RECYCLE_PAGES) {
+        browserState.recyclePending = `페이지 ${browserState.pagesSinceLaunch}개 처리`;
+        return;
+    }
+    
+    const memoryMb = getBrowserMemoryMb();
+    if (memoryMb !== null && memoryMb >= BROWSER_RECYCLE_MEMORY_MB) {
+        browserState.recyclePending = `메모리 ${memoryMb}MB 초과`;
+    }
+}
+
+// 브라우저 종료 (재시작/서버 종료용, 크래시로 집계하지 않음)
+async function closeBrowser() {
+    const closingBrowser = browser;
+    browser = null;
+    if (!closingBrowser) return;
+    
+    browserState.closingBrowser = closingBrowser;
+    pagePool.idlePages = [];
+    
+    try {
+        await closingBrowser.close();
+    } catch (error) {
+        console.error('브라우저 종료 오류:', error.message);
+    }
+}
+
+// 진행 중인 페이지가 모두 반납된 뒤 브라우저 재시작
+async function recycleBrowser() {
+    const reason = browserState.recyclePending;
+    console.log(`♻️ Chromium 재시작: ${reason}`);
+    
+    await closeBrowser();
+    
+    browserState.recycles++;
+    browserState.lastRecycleReason = reason;
+    browserState.recyclePending = null;
+    
+    drainPoolQueue();
+}
+
+// 브라우저 크래시로 인한 오류인지 확인 (재시도 대상)
+function isBrowserCrashError(error) {
+    return /Target closed|Session closed|Protocol error|browser has disconnected|Connection closed|Page crashed/i.test(error.message);
+}
+
+// 브라우저 상태 요약
+function getBrowserStatus() {
+    let state = 'stopped';
+    if (browserState.recyclePending) state = 'recycle-pending';
+    else if (browserLaunchPromise) state = 'launching';
+    else if (browser && browser.isConnected()) state = 'running';
+    
+    return {
+        state,
+        launches: browserState.launches,
+        crashes: browserState.crashes,
+        recycles: browserState.recycles,
+        pagesSinceLaunch: browserState.pagesSinceLaunch,
+        memoryMb: getBrowserMemoryMb(),
+        launchedAt: browserState.launchedAt,
+        lastCrashAt: browserState.lastCrashAt,
+        lastRecycleReason: browserState.lastRecycleReason,
+        recyclePending: browserState.recyclePending,
+        recyclePages: BROWSER_RECYCLE_PAGES,
+        recycleMemoryMb: BROWSER_RECYCLE_MEMORY_MB
+    };
+}
+
+// Puppeteer 페이지 풀 설정 (ARM 서버 메모리 보호를 위해 동시 페이지 수 제한)
+const PAGE_POOL_SIZE = parseInt(process.env.PAGE_POOL_SIZE) || 3;
+const PAGE_TASK_TIMEOUT = parseInt(process.env.PAGE_TASK_TIMEOUT) || 60000;
+const PAGE_USER_AGENT = 'Mozilla/5.0 (X11; Linux aarch64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// 요청 차단 설정 (가격 파싱에 필요 없는 이미지/폰트/광고/분석 스크립트 차단)
+const REQUEST_BLOCKING_ENABLED = process.env.REQUEST_BLOCKING !== 'false';
+// 빈 값으로 지정하면 차단 안 함 (지정하지 않았을 때만 기본 목록 사용)
+const BLOCKED_RESOURCE_TYPES = (process.env.BLOCKED_RESOURCE_TYPES !== undefined ? process.env.BLOCKED_RESOURCE_TYPES : 'image,media,font')
+    .split(',').map(type => type.trim()).filter(Boolean);
+const BLOCKED_DOMAINS = (process.env.BLOCKED_DOMAINS !== undefined ? process.env.BLOCKED_DOMAINS : [
+    'google-analytics.com',
+    'googletagmanager.com',
+    'googlesyndication.com',
+    'doubleclick.net',
+    'facebook.net',
+    'facebook.com',
+    'hotjar.com',
+    'clarity.ms',
+    'bing.com',
+    'criteo.com',
+    'tiktok.com',
+    'trustpilot.com',
+    'zendesk.com',
+    'klaviyo.com'
+].join(',')).split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean);
+
+// 페이지별 네트워크 사용량 (요청 수, 차단 수, 전송 바이트)
+const pageTraffic = new WeakMap();
+
+function createTrafficStats() {
+    return { requests: 0, blockedRequests: 0, bytes: 0 };
+}
+
+function addTrafficStats(target, stats) {
+    target.requests += stats.requests;
+    target.blockedRequests += stats.blockedRequests;
+    target.bytes += stats.bytes;
+    return target;
+}
+
+function getPageTraffic(page) {
+    return { ...(pageTraffic.get(page) || createTrafficStats()) };
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)}KB`;
+    return `${bytes}B`;
+}
+
+// 차단 대상 요청인지 확인 (리소스 유형 또는 도메인)
+function shouldBlockRequest(request) {
+    if (BLOCKED_RESOURCE_TYPES.includes(request.resourceType())) {
+        return true;
+    }
+    
+    let hostname = '';
+    try {
+        hostname = new URL(request.url()).hostname.toLowerCase();
+    } catch (error) {
+        return false;
+    }
+    
+    return BLOCKED_DOMAINS.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+// 새 페이지에 요청 차단, 도메인별 요청 제한, 전송량 측정 설정
+async function setupPageNetwork(page) {
+    pageTraffic.set(page, createTrafficStats());
+    
+    // 페이지 이동 요청이 끝나면 도메인 슬롯 반환 (리다이렉트도 requestfinished 발생)
+    const navigationReleases = new Map();
+    const releaseNavigation = (request) => {
+        const release = navigationReleases.get(request);
+        if (release) {
+            navigationReleases.delete(request);
+            release();
+        }
+    };
+    
+    await page.setRequestInterception(true);
+    page.on('request', async (request) => {
+        // 다른 핸들러가 이미 처리한 요청은 건드리지 않음
+        if (request.isInterceptResolutionHandled()) return;
         
-        if (beforeClean !== cleanName) {
-            console.log(`🔧 패턴 적용: "${beforeClean}" → "${cleanName}"`);
+        if (REQUEST_BLOCKING_ENABLED && shouldBlockRequest(request)) {
+            pageTraffic.get(page).blockedRequests++;
+            request.abort('blockedbyclient').catch(() => {});
+            return;
+        }
+        
+        // 문서 이동은 axios 요청과 같은 도메인별 간격/동시 요청 제한 적용
+        if (request.isNavigationRequest() && request.frame() === page.mainFrame() && /^https?:/.test(request.url())) {
+            navigationReleases.set(request, await acquireDomainSlot(request.url()));
+            setTimeout(() => releaseNavigation(request), PAGE_TASK_TIMEOUT).unref();
         }
+        
+        request.continue().catch(() => {});
     });
+    page.on('requestfinished', releaseNavigation);
+    page.on('requestfailed', releaseNavigation);
     
-    // 안전성 검증
-    const originalLength = originalName.length;
-    const cleanLength = cleanName.length;
-    const retentionRatio = cleanLength / originalLength;
+    // 실제 전송 바이트는 CDP Network 이벤트 기준 (압축 후 크기)
+    const client = await page.target().createCDPSession();
+    await client.send('Network.enable');
+    client.on('Network.requestWillBeSent', () => {
+        pageTraffic.get(page).requests++;
+    });
+    client.on('Network.loadingFinished', (event) => {
+        pageTraffic.get(page).bytes += event.encodedDataLength || 0;
+    });
+}
+
+// 재사용 가능한 페이지 풀 상태
+const pagePool = {
+    idlePages: [],
+    activeCount: 0,
+    waitQueues: new Map(), // owner → 대기 중인 요청 목록
+    ownerOrder: [],        // 공정한 분배를 위한 라운드 로빈 순서
+    completedTasks: 0,
+    timedOutTasks: 0
+};
+
+// 페이지별 사용 중인 프록시 (프록시가 있으면 페이지마다 별도 브라우저 컨텍스트)
+const pageProxies = new WeakMap();
+
+// 브라우저 페이지는 스토어 크롤링 전용이므로 스토어 도메인 기준으로 프록시 사용 여부 판단
+function pickBrowserProxy() {
+    const storeUrl = storeAdapters.map(adapter => `https://${adapter.hostnames[0]}/`).find(usesProxy);
+    return storeUrl ? pickProxy(storeUrl) : null;
+}
+
+// 새 페이지 생성 (또는 유휴 페이지 재사용)
+async function obtainPoolPage() {
+    while (pagePool.idlePages.length > 0) {
+        const idlePage = pagePool.idlePages.pop();
+        if (!idlePage.isClosed() && idlePage.browser().isConnected()) {
+            return idlePage;
+        }
+    }
+
+    const browser = await initBrowser();
+    const proxy = pickBrowserProxy();
+    let page;
     
-    // 게임명이 너무 짧아졌거나 30% 이하로 줄어들면 원본 사용
-    if (cleanLength < 3 || retentionRatio < 0.3) {
-        console.warn(`⚠️ 과도한 정리 감지: "${originalName}" → "${cleanName}" (${(retentionRatio * 100).toFixed(1)}%), 원본 사용`);
-        return originalName;
+    if (proxy) {
+        const context = await browser.createIncognitoBrowserContext({
+            proxyServer: `${proxy.parsed.protocol}//${proxy.parsed.host}`
+        });
+        page = await context.newPage();
+        if (proxy.parsed.username) {
+            await page.authenticate({
+                username: decodeURIComponent(proxy.parsed.username),
+                password: decodeURIComponent(proxy.parsed.password)
+            });
+        }
+        pageProxies.set(page, proxy);
+    } else {
+        page = await browser.newPage();
     }
     
-    // 최종 정리 결과 로그
-    if (cleanName !== originalName) {
-        console.log(`✅ 게임명 정리 완료: "${originalName}" → "${cleanName}"`);
+    await page.setUserAgent(PAGE_USER_AGENT);
+    await setupPageNetwork(page);
+    return page;
+}
+
+// 페이지 닫기 (프록시용 컨텍스트도 함께 정리)
+function closePoolPage(page) {
+    const context = page.browserContext();
+    page.close()
+        .then(() => context.isIncognito() ? context.close() : null)
+        .catch(() => {});
+}
+
+// 대기열에서 다음 요청 선택 (owner 간 라운드 로빈)
+function dequeuePoolWaiter() {
+    while (pagePool.ownerOrder.length > 0) {
+        const owner = pagePool.ownerOrder.shift();
+        const queue = pagePool.waitQueues.get(owner);
+
+        if (!queue || queue.length === 0) {
+            pagePool.waitQueues.delete(owner);
+            continue;
+        }
+
+        const waiter = queue.shift();
+        if (queue.length > 0) {
+            pagePool.ownerOrder.push(owner);
+        } else {
+            pagePool.waitQueues.delete(owner);
+        }
+        return waiter;
+    }
+    return null;
+}
+
+// 풀 슬롯을 대기 중인 요청에게 넘겨줌
+function handOffPoolSlot(waiter, page) {
+    const pagePromise = page ? Promise.resolve(page) : obtainPoolPage();
+    pagePromise.then(waiter.resolve, (error) => {
+        releasePoolSlot();
+        waiter.reject(error);
+    });
+}
+
+// 슬롯 반환: 대기자가 있으면 넘기고, 없으면 유휴 페이지로 보관
+function releasePoolSlot(page = null) {
+    // 재시작 대기 중에는 슬롯을 넘기지 않고 모든 페이지가 반납되길 기다림
+    const waiter = browserState.recyclePending ? null : dequeuePoolWaiter();
+    if (waiter) {
+        handOffPoolSlot(waiter, page);
+        return;
+    }
+
+    pagePool.activeCount--;
+    if (page) {
+        pagePool.idlePages.push(page);
     }
     
-    return cleanName;
+    if (browserState.recyclePending && pagePool.activeCount === 0) {
+        recycleBrowser().catch(error => console.error('브라우저 재시작 오류:', error));
+    }
 }
 
-// CDKeys/Loaded 단일 페이지 가격 크롤링
-async function fetchGameSinglePrice(url) {
-    const siteName = url.includes('loaded.com') ? 'Loaded' : 'CDKeys';
-    const cacheKey = `game_single_${url}`;
-    const cached = cache.get(cacheKey);
-    if (cached) {
-        console.log(`${siteName} 단일 페이지 캐시 데이터 사용`);
-        return cached;
+// 재시작 후 대기열의 요청에 슬롯 배정
+function drainPoolQueue() {
+    while (pagePool.activeCount < PAGE_POOL_SIZE) {
+        const waiter = dequeuePoolWaiter();
+        if (!waiter) break;
+        pagePool.activeCount++;
+        handOffPoolSlot(waiter, null);
+    }
+}
+
+// 페이지 대여 (동시 페이지 수가 가득 차거나 재시작 대기 중이면 대기열에 등록)
+function acquirePage(owner = 'default') {
+    if (pagePool.activeCount < PAGE_POOL_SIZE && !browserState.recyclePending) {
+        pagePool.activeCount++;
+        return obtainPoolPage().catch((error) => {
+            releasePoolSlot();
+            throw error;
+        });
+    }
+
+    return new Promise((resolve, reject) => {
+        if (!pagePool.waitQueues.has(owner)) {
+            pagePool.waitQueues.set(owner, []);
+            pagePool.ownerOrder.push(owner);
+        }
+        pagePool.waitQueues.get(owner).push({ resolve, reject });
+    });
+}
+
+// 페이지 반납 (문제가 있는 페이지는 닫고 슬롯만 반환)
+async function releasePage(page, { discard = false } = {}) {
+    let reusable = !discard && !page.isClosed();
+
+    if (reusable) {
+        try {
+            await page.goto('about:blank', { timeout: 5000 });
+        } catch (error) {
+            reusable = false;
+        }
+    }
+
+    if (!reusable) {
+        closePoolPage(page);
+    }
+
+    browserState.pagesSinceLaunch++;
+    checkBrowserRecycle();
+    releasePoolSlot(reusable ? page : null);
+}
+
+// 풀에서 페이지를 빌려 작업 실행 (브라우저 크래시로 실패하면 새 브라우저에서 재시도)
+async function withPooledPage(task, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await runPooledPageTask(task, options);
+        } catch (error) {
+            if (attempt >= BROWSER_CRASH_RETRIES || !isBrowserCrashError(error)) {
+                throw error;
+            }
+            console.warn(`🔁 브라우저 오류로 작업 재시도 (${attempt + 1}/${BROWSER_CRASH_RETRIES}): ${error.message}`);
+        }
+    }
+}
+
+// 풀 페이지 한 번 대여해 작업 실행 (작업별 타임아웃 적용)
+async function runPooledPageTask(task, { owner = 'default', timeout = PAGE_TASK_TIMEOUT } = {}) {
+    const page = await acquirePage(owner);
+    let timer = null;
+    let timedOut = false;
+    let failed = false;
+    
+    // 재사용 페이지의 이전 작업 전송량 초기화
+    pageTraffic.set(page, createTrafficStats());
+
+    try {
+        const timeoutPromise = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                timedOut = true;
+                reject(new Error(`페이지 작업 시간 초과 (${timeout}ms)`));
+            }, timeout);
+        });
+
+        const result = await Promise.race([task(page), timeoutPromise]);
+        markProxyResult(pageProxies.get(page), true);
+        return result;
+    } catch (error) {
+        failed = isBrowserCrashError(error);
+        
+        // 차단/네트워크 오류면 프록시 실패로 기록하고 다음에는 다른 프록시로 새 페이지 생성
+        const proxy = pageProxies.get(page);
+        if (proxy && ['network', 'challenge', 'timeout'].includes(classifyScrapeError(error))) {
+            markProxyResult(proxy, false, error);
+            failed = true;
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        pagePool.completedTasks++;
+        if (timedOut) {
+            pagePool.timedOutTasks++;
+        }
+        await releasePage(page, { discard: timedOut || failed });
     }
+}
+
+// 풀 상태 요약
+function getPagePoolStats() {
+    let queued = 0;
+    pagePool.waitQueues.forEach(queue => { queued += queue.length; });
+
+    return {
+        size: PAGE_POOL_SIZE,
+        active: pagePool.activeCount,
+        idle: pagePool.idlePages.length,
+        queued,
+        queuedOwners: pagePool.waitQueues.size,
+        completedTasks: pagePool.completedTasks,
+        timedOutTasks: pagePool.timedOutTasks,
+        taskTimeout: PAGE_TASK_TIMEOUT
+    };
+}
+
+// 배열을 동시 실행 수 제한 하에 처리 (결과 순서 유지)
+async function mapWithConcurrency(items, limit, mapper) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await mapper(items[index], index);
+        }
+    });
+
+    await Promise.all(workers);
+    return results;
+}
+
+// 기본 게임명 정리 규칙 (규칙 파일이 없을 때 초기값, wogho님 요청: PC, DLC 등 플랫폼/확장팩 키워드 제거)
+const DEFAULT_CLEAN_NAME_RULES = [
+    // PC-DLC 관련 (우선 처리)
+    { pattern: /\s+PC-DLC\s*$/i, description: '끝에 PC-DLC' },
+    { pattern: /\s+\(PC-DLC\)\s*$/i, description: '(PC-DLC)' },
+    { pattern: /\s+-\s*PC-DLC\s*$/i, description: '- PC-DLC' },
+    { pattern: /\s+PC - DLC\s*$/i, description: 'PC - DLC' },
+    { pattern: /\s+\(PC\/Mac\)\s*$/i, description: '(PC/Mac)' },
+    { pattern: /\s+-\s*PC\/Mac\s*$/i, description: '- PC/Mac' },
+    { pattern: /\s+\[PC\/Mac\]\s*$/i, description: '[PC/Mac]' },
+    { pattern: /\s+PC\/Mac\s*-\s*$/i, description: '끝에 PC/Mac -' },
+    { pattern: /\s+PC\/Mac\s*-?\s*$/i, description: 'PC/Mac - 또는 PC/Mac' },
+    { pattern: /\s+PC\/Mac\s+\-\s*$/i, description: 'PC/Mac -' },
+    { pattern: /\s+\(PC\/Mac\)\s*-?\s*$/i, description: '(PC/Mac) - 또는 (PC/Mac)' },
+    
+    // PC 관련
+    { pattern: /\s+PC\s*$/i, description: '끝에 PC' },
+    { pattern: /\s+\(PC\)\s*$/i, description: '(PC)' },
+    { pattern: /\s+-\s*PC\s*$/i, description: '- PC' },
+    
+    // DLC 관련
+    { pattern: /\s+DLC\s*$/i, description: '끝에 DLC' },
+    { pattern: /\s+\(DLC\)\s*$/i, description: '(DLC)' },
+    { pattern: /\s+-\s*DLC\s*$/i, description: '- DLC' },
+    
+    // Steam 관련
+    { pattern: /\s+Steam\s*$/i, description: '끝에 Steam' },
+    { pattern: /\s+\(Steam\)\s*$/i, description: '(Steam)' },
+    { pattern: /\s+-\s*Steam\s*$/i, description: '- Steam' },
+    { pattern: /\s+Steam\s+Key\s*$/i, description: 'Steam Key' },
+    { pattern: /\s+Steam\s+Code\s*$/i, description: 'Steam Code' },
+    
+    // Key/Code 관련
+    { pattern: /\s+Key\s*$/i, description: '끝에 Key' },
+    { pattern: /\s+Code\s*$/i, description: '끝에 Code' },
+    { pattern: /\s+\(Key\)\s*$/i, description: '(Key)' },
+    { pattern: /\s+\(Code\)\s*$/i, description: '(Code)' },
+    
+    // Digital 관련
+    { pattern: /\s+Digital\s*$/i, description: '끝에 Digital' },
+    { pattern: /\s+\(Digital\)\s*$/i, description: '(Digital)' },
+    { pattern: /\s+Digital\s+Download\s*$/i, description: 'Digital Download' },
+    { pattern: /\s+Download\s*$/i, description: '끝에 Download' },
+    
+    // 지역 관련
+    { pattern: /\s+Global\s*$/i, description: '끝에 Global' },
+    { pattern: /\s+\[Global\]\s*$/i, description: '[Global]' },
+    { pattern: /\s+\(Global\)\s*$/i, description: '(Global)' },
+    { pattern: /\s+Worldwide\s*$/i, description: '끝에 Worldwide' },
+    { pattern: /\s+\[Worldwide\]\s*$/i, description: '[Worldwide]' },
+    { pattern: /\s+EU\s*$/i, description: '끝에 EU' },
+    { pattern: /\s+US\s*$/i, description: '끝에 US' },
+    { pattern: /\s+UK\s*$/i, description: '끝에 UK' },
+    { pattern: /\s+ROW\s*$/i, description: '끝에 ROW (Rest of World)' },
+    
+    // 기타 불필요한 키워드
+    { pattern: /\s+Edition\s*$/i, description: '끝에 Edition (단독으로만)' },
+    { pattern: /\s+Game\s*$/i, description: '끝에 Game' },
+    { pattern: /\s+\(Game\)\s*$/i, description: '(Game)' }
+    
+];
+
+// 게임명 정리 규칙 파일 (API로 추가/수정/비활성화한 규칙 저장)
+const CLEAN_NAME_RULES_FILE = process.env.CLEAN_NAME_RULES_FILE || path.join(DATA_DIR, 'clean-name-rules.json');
+// 모든 상품명에 적용되므로 패턴 길이를 제한 (과도한 역추적 방지)
+const CLEAN_NAME_RULE_MAX_PATTERN_LENGTH = parseInt(process.env.CLEAN_NAME_RULE_MAX_PATTERN_LENGTH) || 200;
+// 규칙 변경 API 토큰 (없으면 서버 로컬 접속에서만 변경 허용)
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+// 규칙 구조: { id, pattern, flags, replacement, order, enabled, description, updatedAt }
+const cleanNameRules = {
+    rules: [],
+    compiled: [],   // 활성 규칙만 order 순으로 컴파일
+    source: 'default',
+    loadError: null // 규칙 파일 오류 (있으면 파일을 고치기 전까지 API로 저장하지 않음)
+};
+
+function buildDefaultCleanNameRules() {
+    return DEFAULT_CLEAN_NAME_RULES.map((rule, index) => ({
+        id: `default-${String(index + 1).padStart(2, '0')}`,
+        pattern: rule.pattern.source,
+        flags: rule.pattern.flags,
+        replacement: '',
+        order: (index + 1) * 10,
+        enabled: true,
+        description: rule.description,
+        updatedAt: null
+    }));
+}
+
+// 규칙 목록 적용 (order 순 정렬 후 활성 규칙 컴파일)
+function applyCleanNameRules(rules) {
+    cleanNameRules.rules = rules.slice().sort((a, b) => a.order - b.order);
+    cleanNameRules.compiled = cleanNameRules.rules
+        .filter(rule => rule.enabled)
+        .map(rule => ({ rule, regex: new RegExp(rule.pattern, rule.flags) }));
+}
+
+// 저장된 규칙 파일 읽기 (잘못된 규칙만 제외하고 나머지는 사용)
+// 파일에 오류가 있으면 저장 시 사용자 규칙을 덮어쓰지 않도록 loadError를 남겨 규칙 변경 API를 막음
+function loadCleanNameRules() {
+    cleanNameRules.loadError = null;
+    
+    if (!fs.existsSync(CLEAN_NAME_RULES_FILE)) {
+        applyCleanNameRules(buildDefaultCleanNameRules());
+        cleanNameRules.source = 'default';
+        return;
+    }
+    
+    const savedRules = readJsonFile(CLEAN_NAME_RULES_FILE, null);
+    if (!Array.isArray(savedRules)) {
+        cleanNameRules.loadError = '규칙 파일을 읽을 수 없거나 규칙 배열이 아닙니다.';
+        console.error(`게임명 정리 규칙 파일 오류, 기본 규칙 사용 (파일을 고치기 전까지 규칙 변경 불가): ${CLEAN_NAME_RULES_FILE}`);
+        applyCleanNameRules(buildDefaultCleanNameRules());
+        cleanNameRules.source = 'default';
+        return;
+    }
+    
+    const ruleIds = new Set();
+    const errors = [];
+    const validRules = savedRules.filter((rule, index) => {
+        const ruleErrors = validateSavedCleanNameRule(rule, ruleIds);
+        if (ruleErrors.length > 0) {
+            errors.push(`${(rule && rule.id) || `#${index + 1}`}: ${ruleErrors.join(', ')}`);
+            return false;
+        }
+        ruleIds.add(rule.id);
+        return true;
+    });
+    
+    if (errors.length > 0) {
+        cleanNameRules.loadError = errors.join('; ');
+        console.error(`게임명 정리 규칙 파일 오류, 잘못된 규칙 ${errors.length}개 제외 (파일을 고치기 전까지 규칙 변경 불가):`, cleanNameRules.loadError);
+    }
+    
+    applyCleanNameRules(validRules);
+    cleanNameRules.source = CLEAN_NAME_RULES_FILE;
+}
+
+// 파일에 저장된 규칙 검증 (입력 검증 + id, 숫자 order, true/false enabled 필수)
+function validateSavedCleanNameRule(rule, ruleIds) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return ['규칙은 객체여야 합니다.'];
+    }
+    
+    const errors = validateCleanNameRule(rule);
+    if (typeof rule.id !== 'string' || !rule.id.trim()) {
+        errors.push('id가 필요합니다.');
+    } else if (ruleIds.has(rule.id)) {
+        errors.push('중복된 id입니다.');
+    }
+    if (!Number.isFinite(rule.order)) {
+        errors.push('order는 숫자여야 합니다.');
+    }
+    if (typeof rule.enabled !== 'boolean') {
+        errors.push('enabled는 true/false여야 합니다.');
+    }
+    
+    return [...new Set(errors)];
+}
+
+function saveCleanNameRules() {
+    writeJsonFile(CLEAN_NAME_RULES_FILE, cleanNameRules.rules);
+    cleanNameRules.source = CLEAN_NAME_RULES_FILE;
+    clearScrapeCache();
+}
+
+// 규칙 입력 검증 (partial이면 수정 요청이라 생략된 항목 허용) → 오류 메시지 목록
+function validateCleanNameRule(input, { partial = false } = {}) {
+    const errors = [];
+    
+    if (!partial || input.pattern !== undefined) {
+        if (typeof input.pattern !== 'string' || !input.pattern.trim()) {
+            errors.push('pattern은 비어 있지 않은 정규식 문자열이어야 합니다.');
+        } else if (input.pattern.length > CLEAN_NAME_RULE_MAX_PATTERN_LENGTH) {
+            errors.push(`pattern은 ${CLEAN_NAME_RULE_MAX_PATTERN_LENGTH}자 이하여야 합니다.`);
+        }
+    }
+    // g, y는 lastIndex가 남아 다음 상품명 치환이 건너뛰어지므로 허용하지 않음
+    if (input.flags !== undefined && (typeof input.flags !== 'string' || !/^[imsu]*$/.test(input.flags))) {
+        errors.push('flags는 i, m, s, u 조합이어야 합니다.');
+    }
+    if (!errors.length && input.pattern !== undefined) {
+        try {
+            new RegExp(input.pattern, input.flags === undefined ? 'i' : input.flags);
+        } catch (error) {
+            errors.push(`잘못된 정규식: ${error.message}`);
+        }
+    }
+    if (input.replacement !== undefined && typeof input.replacement !== 'string') {
+        errors.push('replacement는 문자열이어야 합니다.');
+    }
+    if (input.order !== undefined && !Number.isFinite(input.order)) {
+        errors.push('order는 숫자여야 합니다.');
+    }
+    if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+        errors.push('enabled는 true/false여야 합니다.');
+    }
+    if (input.description !== undefined && typeof input.description !== 'string') {
+        errors.push('description은 문자열이어야 합니다.');
+    }
+    
+    return errors;
+}
+
+loadCleanNameRules();
+
+// 게임명 정리 + 적용된 규칙 목록 (테스트 API에서 규칙별 결과 확인용)
+function explainCleanGameName(originalName) {
+    let cleanName = originalName.trim();
+    const firedRules = [];
+    
+    // 각 규칙을 order 순서대로 적용
+    cleanNameRules.compiled.forEach(({ rule, regex }) => {
+        const beforeClean = cleanName;
+        cleanName = cleanName.replace(regex, rule.replacement).trim();
+        
+        if (beforeClean !== cleanName) {
+            console.log(`🔧 패턴 적용: "${beforeClean}" → "${cleanName}"`);
+            firedRules.push({
+                id: rule.id,
+                description: rule.description,
+                pattern: rule.pattern,
+                before: beforeClean,
+                after: cleanName
+            });
+        }
+    });
+    
+    // 안전성 검증
+    const originalLength = originalName.length;
+    const cleanLength = cleanName.length;
+    const retentionRatio = cleanLength / originalLength;
+    
+    // 게임명이 너무 짧아졌거나 30% 이하로 줄어들면 원본 사용
+    if (cleanLength < 3 || retentionRatio < 0.3) {
+        console.warn(`⚠️ 과도한 정리 감지: "${originalName}" → "${cleanName}" (${(retentionRatio * 100).toFixed(1)}%), 원본 사용`);
+        return { cleanName: originalName, firedRules, safetyFallback: true };
+    }
+    
+    // 최종 정리 결과 로그
+    if (cleanName !== originalName) {
+        console.log(`✅ 게임명 정리 완료: "${originalName}" → "${cleanName}"`);
+    }
+    
+    return { cleanName, firedRules, safetyFallback: false };
+}
+
+// 게임명 정리 함수 (PC, DLC 제거 로직 개선)
+function cleanGameName(originalName) {
+    return explainCleanGameName(originalName).cleanName;
+}
+
+// 에디션 종류 (requiresEdition: "Gold"처럼 흔한 단어는 뒤에 Edition이 붙은 경우만 인정)
+const GAME_EDITION_TYPES = [
+    { id: 'goty', label: 'GOTY Edition', core: 'Game\\s+of\\s+the\\s+Year|GOTY', requiresEdition: false },
+    { id: 'season_pass', label: 'Season Pass', core: 'Season\\s+Pass', requiresEdition: false, noEditionSuffix: true },
+    { id: 'deluxe', label: 'Deluxe Edition', core: '(?:Digital\\s+|Super\\s+)?Deluxe', requiresEdition: false },
+    { id: 'gold', label: 'Gold Edition', core: 'Gold', requiresEdition: true },
+    { id: 'ultimate', label: 'Ultimate Edition', core: 'Ultimate', requiresEdition: true },
+    { id: 'complete', label: 'Complete Edition', core: 'Complete', requiresEdition: true },
+    { id: 'definitive', label: 'Definitive Edition', core: 'Definitive', requiresEdition: true },
+    { id: 'premium', label: 'Premium Edition', core: 'Premium', requiresEdition: true },
+    { id: 'collectors', label: "Collector's Edition", core: "Collector'?s", requiresEdition: true },
+    { id: 'legendary', label: 'Legendary Edition', core: 'Legendary', requiresEdition: true },
+    { id: 'anniversary', label: 'Anniversary Edition', core: 'Anniversary', requiresEdition: true },
+    { id: 'enhanced', label: 'Enhanced Edition', core: 'Enhanced', requiresEdition: true },
+    { id: 'standard', label: 'Standard Edition', core: 'Standard', requiresEdition: true }
+].map(type => ({
+    ...type,
+    // 원본 상품명에서 에디션 감지
+    detectPattern: new RegExp(`\\b(?:${type.core})${type.requiresEdition ? '\\s+Edition' : '(?:\\s+Edition)?'}\\b`, 'i'),
+    // 정리된 이름/Steam 이름에서 에디션 표기 찾기 (게임명 정리로 Edition이 빠졌을 수 있음)
+    namePattern: new RegExp(`[\\s:(\\[-]*\\b(?:${type.core})(?:\\s+Edition)?\\b[)\\]]?`, 'gi')
+}));
+
+function getGameEditionType(editionId) {
+    return GAME_EDITION_TYPES.find(type => type.id === editionId) || null;
+}
+
+// 이름에서 에디션 표기의 마지막 위치 (기본 제목에 같은 단어가 있어도 뒤쪽 표기를 제거)
+function findEditionInName(name, type) {
+    const matches = [...name.matchAll(type.namePattern)];
+    return matches.length ? matches[matches.length - 1] : null;
+}
+
+// 상품명을 기본 제목 + 에디션으로 분리 (에디션이 없으면 edition: null)
+function parseGameEdition(originalName, cleanName = originalName) {
+    const type = GAME_EDITION_TYPES.find(candidate => candidate.detectPattern.test(originalName));
+    
+    if (!type) {
+        return { baseTitle: cleanName, edition: null, editionLabel: null };
+    }
+    
+    let baseTitle = cleanName;
+    const match = findEditionInName(cleanName, type);
+    if (match) {
+        baseTitle = (cleanName.slice(0, match.index) + ' ' + cleanName.slice(match.index + match[0].length))
+            .replace(/\s+/g, ' ')
+            .replace(/[\s:–-]+$/, '')
+            .trim();
+        // 에디션 표기 뒤에 있던 플랫폼/키 표기가 끝으로 오므로 한 번 더 정리
+        baseTitle = cleanGameName(baseTitle);
+    }
+    
+    // 에디션 표기만 남는 경우 (예: "Deluxe Edition") 정리된 이름을 그대로 기본 제목으로 사용
+    if (baseTitle.length < 2) {
+        baseTitle = cleanName;
+    }
+    
+    return { baseTitle, edition: type.id, editionLabel: type.label };
+}
+
+// Steam 후보 이름이 요청한 에디션과 맞는지 (에디션 없는 상품은 다른 에디션 후보를 피함)
+function matchesGameEdition(candidateName, editionId) {
+    if (!editionId || editionId === 'standard') {
+        return !GAME_EDITION_TYPES.some(type => type.id !== 'standard' && findEditionInName(candidateName, type));
+    }
+    
+    const type = getGameEditionType(editionId);
+    return Boolean(type && findEditionInName(candidateName, type));
+}
+
+// 상품명/검색용 표시 이름 (기본 제목 + 에디션)
+function formatEditionTitle(game) {
+    if (!game.edition || !game.baseTitle || !game.editionLabel) {
+        return game.name;
+    }
+    return `${game.baseTitle} ${game.editionLabel}`;
+}
+
+// 제목 정규화: 상표 기호, 유니코드 문장부호, 로마/아라비아 숫자, &/and, 퍼블리셔 접두어 차이 흡수
+const ROMAN_NUMERALS = ['', 'I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X',
+    'XI', 'XII', 'XIII', 'XIV', 'XV', 'XVI', 'XVII', 'XVIII', 'XIX', 'XX'];
+
+// 제목 앞에 붙는 퍼블리셔/원작자 접두어 (Steam과 스토어 표기가 서로 다른 경우가 많음)
+const TITLE_PUBLISHER_PREFIXES = [
+    /^tom\s+clancy'?s\s+/i,
+    /^sid\s+meier'?s\s+/i,
+    /^marvel'?s\s+/i,
+    /^disney\s*(?:•|&|and)?\s*pixar'?s?\s+/i,
+    /^disney'?s?\s+/i,
+    /^clive\s+barker'?s\s+/i,
+    /^peter\s+jackson'?s\s+/i,
+    /^american\s+mcgee'?s\s+/i
+];
+
+// 검색어용 정규화 (대소문자 유지, 기호와 유니코드 문장부호만 정리)
+function normalizeSearchTerm(title) {
+    return String(title || '')
+        .replace(/[™®©℠]/g, '')
+        .normalize('NFKC')
+        .replace(/[‘’‚‛′`´]/g, "'")
+        .replace(/[“”„‟″]/g, '"')
+        .replace(/[‐‑‒–—―−]/g, '-')
+        .replace(/…/g, '...')
+        .replace(/[\u00a0\u2000-\u200b\u202f\u3000]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function stripPublisherPrefix(title) {
+    const prefix = TITLE_PUBLISHER_PREFIXES.find(pattern => pattern.test(title));
+    return prefix ? title.replace(prefix, '') : title;
+}
+
+// 단독 로마 숫자 ↔ 아라비아 숫자 (2~20, "I"는 단어와 구분할 수 없어 제외)
+function convertTitleNumerals(title, target) {
+    if (target === 'arabic') {
+        return title.replace(/\b[IVX]{1,5}\b/g, token => {
+            const value = ROMAN_NUMERALS.indexOf(token);
+            return value >= 2 ? String(value) : token;
+        });
+    }
+    return title.replace(/\b\d{1,2}\b/g, token => {
+        const value = parseInt(token, 10);
+        return value >= 2 && value <= 20 ? ROMAN_NUMERALS[value] : token;
+    });
+}
+
+// 후보 비교용 정규화 키 (소문자, 악센트/문장부호 제거, 아라비아 숫자, and 통일, 퍼블리셔 접두어 제거)
+function normalizeTitleKey(title) {
+    const searchTerm = stripPublisherPrefix(normalizeSearchTerm(title));
+    
+    return convertTitleNumerals(searchTerm, 'arabic')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/'/g, '')
+        .replace(/[^a-z0-9\u3131-\uD79D\u3040-\u30ff\u4e00-\u9fff]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Steam 검색에 쓸 정규화 변형 (기호 정리, 퍼블리셔 접두어 제거, 숫자 표기 전환)
+function buildNormalizedSearchTerms(title) {
+    const searchTerm = normalizeSearchTerm(title);
+    const withoutPrefix = stripPublisherPrefix(searchTerm);
+    
+    return [
+        searchTerm,
+        withoutPrefix,
+        convertTitleNumerals(withoutPrefix, 'arabic'),
+        convertTitleNumerals(withoutPrefix, 'roman'),
+        searchTerm.replace(/\s*&\s*/g, ' and ')
+    ];
+}
+
+// 통화 기호 (가격 문자열에 기호가 없을 때 페이지/API가 밝힌 통화로 보정)
+const CURRENCY_SYMBOLS = {
+    KRW: '₩',
+    USD: '$',
+    EUR: '€',
+    GBP: '£'
+};
+
+// 가격 문자열에 통화 기호가 없으면 지정한 통화 기호를 붙임 (통화를 모르면 그대로)
+function applyStoreCurrency(priceText, currency) {
+    if (!priceText) return priceText;
+    if (/[₩$€£]/.test(priceText)) return priceText;
+    if (!/\d/.test(priceText)) return priceText;
+    
+    const symbol = CURRENCY_SYMBOLS[currency];
+    return symbol ? `${symbol}${priceText.trim()}` : priceText;
+}
+
+// 셀렉터 목록 중 처음으로 일치하는 요소 반환 (root가 있으면 그 안에서 검색)
+function selectFirst($, root, selectors) {
+    for (const selector of selectors) {
+        const element = root ? $(root).find(selector).first() : $(selector).first();
+        if (element.length > 0) {
+            return element;
+        }
+    }
+    return null;
+}
+
+// 셀렉터 목록 중 처음으로 텍스트가 있는 요소의 텍스트 반환
+function selectFirstText($, root, selectors) {
+    for (const selector of selectors) {
+        const element = root ? $(root).find(selector).first() : $(selector).first();
+        const text = element.text().trim();
+        if (text) {
+            return text;
+        }
+    }
+    return '';
+}
+
+// 재고 상태 판별 (품절 문구에 available이 포함되므로 품절을 먼저 확인)
+function classifyAvailabilityText(text) {
+    if (!text) return 'unknown';
+    if (/pre-?order|coming soon|PreOrder|출시 예정|예약/i.test(text)) return 'pre_order';
+    if (/out of stock|sold out|OutOfStock|unavailable|품절/i.test(text)) return 'out_of_stock';
+    if (/in stock|InStock|available|재고 있음/i.test(text)) return 'in_stock';
+    return 'unknown';
+}
+
+// 출시일 문자열을 ISO 날짜로 변환 (해석할 수 없으면 원문 유지)
+function normalizeReleaseDate(text) {
+    if (!text) return null;
+    
+    const cleaned = text.replace(/^.*?(release date|releases? on|available on|출시일)\s*:?\s*/i, '').trim();
+    const date = new Date(cleaned);
+    if (isNaN(date.getTime())) return cleaned;
+    
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// 재고 상태와 출시일 추출 (root가 있으면 목록 항목 안에서 검색)
+function extractAvailability($, root, selectors) {
+    const stockSelectors = (root ? selectors.listStock : selectors.stock) || [];
+    const releaseSelectors = selectors.releaseDate || [];
+    
+    let availability = classifyAvailabilityText(selectFirstText($, root, stockSelectors));
+    
+    // 상품 페이지는 schema.org availability 메타 정보도 확인
+    if (availability === 'unknown' && !root) {
+        const schemaAvailability = $('[itemprop="availability"]').attr('content') ||
+                                   $('[itemprop="availability"]').attr('href') || '';
+        availability = classifyAvailabilityText(schemaAvailability);
+    }
+    
+    // 목록 항목은 클래스명/문구로 판별
+    if (availability === 'unknown' && root) {
+        const itemClass = $(root).attr('class') || '';
+        if (/out-of-stock|unavailable/i.test(itemClass)) {
+            availability = 'out_of_stock';
+        } else if (/pre-?order/i.test($(root).text())) {
+            availability = 'pre_order';
+        }
+    }
+    
+    let releaseDateText = selectFirstText($, root, releaseSelectors);
+    if (!releaseDateText && availability === 'pre_order') {
+        const match = (root ? $(root).text() : $('body').text())
+            .match(/(release date|releases? on|available on)\s*:?\s*([A-Za-z0-9 ,./-]{6,30})/i);
+        releaseDateText = match ? match[2].trim() : '';
+    }
+    
+    return {
+        availability,
+        releaseDate: normalizeReleaseDate(releaseDateText)
+    };
+}
+
+// 품절 상품 여부 (예약 구매는 구매 가능으로 보고 표시만 함)
+function isUnavailable(item) {
+    return item.availability === 'out_of_stock';
+}
+
+// 활성화 지역 키워드 (상품 페이지의 지역 표기용)
+const REGION_PATTERNS = [
+    { region: 'KR', pattern: /\b(south )?korea\b|한국/i },
+    { region: 'ASIA', pattern: /\basia\b|아시아/i },
+    { region: 'GLOBAL', pattern: /\bglobal\b|\bworldwide\b|region[ -]free/i },
+    { region: 'ROW', pattern: /\bROW\b|rest of (the )?world/i },
+    { region: 'EU', pattern: /\bEU\b|\beurope\b|\bEMEA\b/i },
+    { region: 'UK', pattern: /\bUK\b|united kingdom/i },
+    { region: 'US', pattern: /\bUSA?\b|north america|united states/i },
+    { region: 'RU', pattern: /\bruss?ia\b|\bCIS\b/i },
+    { region: 'LATAM', pattern: /\blatam\b|latin america/i }
+];
+
+// 상품명에 붙는 지역 표기 (괄호 "(EU)" 또는 끝의 "- EU"만 인정해 "AMONG US" 같은 오탐 방지)
+const TITLE_REGION_PATTERN = /(?:[([]\s*|\s[-–]\s*)(EU|UK|US|ROW|GLOBAL|WW)(?:\s*[)\]]|\s*$)/;
+
+// 한국/아시아 활성화 불가 문구
+const KOREA_RESTRICTION_PATTERN = /(cannot|can ?not|can't|not|unable to)\s+(be\s+)?(activated|redeemed|used|played)[^.]*?\b(asia|korea)|(excluding|except|excludes|not available in)[^.]*?\b(asia|korea)/i;
+
+// 활성화 플랫폼 키워드 (Steam은 안내 문구에 자주 등장하므로 마지막에 확인)
+const PLATFORM_PATTERNS = [
+    { platform: 'Ubisoft Connect', pattern: /ubisoft connect|\buplay\b/i },
+    { platform: 'EA app', pattern: /\bEA app\b|\bEA play\b|\borigin (client|key)\b/i },
+    { platform: 'Epic Games', pattern: /epic games/i },
+    { platform: 'GOG', pattern: /\bGOG\b/ },
+    { platform: 'Rockstar', pattern: /rockstar (games )?launcher|social club/i },
+    { platform: 'Battle.net', pattern: /battle\.net/i },
+    { platform: 'Microsoft Store', pattern: /microsoft store|xbox app|windows (10|11) store/i },
+    { platform: 'Steam', pattern: /\bsteam\b/i }
+];
+
+function detectRegion(text, pattern = null) {
+    if (!text) return null;
+    
+    if (pattern) {
+        const match = text.match(pattern);
+        if (!match) return null;
+        return match[1] === 'WW' ? 'GLOBAL' : match[1];
+    }
+    
+    const found = REGION_PATTERNS.find(entry => entry.pattern.test(text));
+    return found ? found.region : null;
+}
+
+function detectPlatform(text) {
+    if (!text) return null;
+    const found = PLATFORM_PATTERNS.find(entry => entry.pattern.test(text));
+    return found ? found.platform : null;
+}
+
+// 지역/플랫폼 제한 분석 및 한국 활성화 가능 여부 판정 (true / false / null=확인 불가)
+function analyzeActivationRestrictions({ title = '', regionText = '', platformText = '', restrictionText = '' }) {
+    const region = detectRegion(regionText) ||
+                   detectRegion(title, TITLE_REGION_PATTERN) ||
+                   detectRegion((restrictionText.match(/region\s*:\s*([^\n.]{2,40})/i) || [])[1]);
+    
+    const platform = detectPlatform(platformText) ||
+                     detectPlatform(title) ||
+                     detectPlatform((restrictionText.match(/(activate|redeem)[^.]{0,40}?\bon\s+([A-Za-z. ]{3,20})/i) || [])[2]) ||
+                     'Unknown';
+    
+    let koreaActivatable = null;
+    let activationNote = '지역 제한 정보 없음';
+    
+    const restrictionMatch = `${regionText}\n${restrictionText}`.match(KOREA_RESTRICTION_PATTERN);
+    if (restrictionMatch) {
+        koreaActivatable = false;
+        activationNote = `활성화 제한 문구: "${restrictionMatch[0].trim()}"`;
+    } else if (region === 'KR' || region === 'ASIA' || region === 'GLOBAL') {
+        koreaActivatable = true;
+        activationNote = `활성화 지역: ${region}`;
+    } else if (['EU', 'UK', 'US', 'RU', 'LATAM'].includes(region)) {
+        koreaActivatable = false;
+        activationNote = `지역 제한 키: ${region}`;
+    } else if (region === 'ROW') {
+        activationNote = 'ROW 키 (일부 지역 제외 가능, 확인 필요)';
+    }
+    
+    return {
+        region: region || 'Unknown',
+        platform,
+        koreaActivatable,
+        activationNote
+    };
+}
+
+// 한국코드 상품명으로 내보낼 수 없는 사유 (문제 없으면 null)
+function getKoreaExportBlockReason(game) {
+    if (game.koreaActivatable === false) {
+        return `한국 활성화 불가 (${game.activationNote || game.region || '지역 제한'})`;
+    }
+    if (game.platform && !['Steam', 'Unknown'].includes(game.platform)) {
+        return `Steam 키가 아님 (${game.platform})`;
+    }
+    if (game.activationVerified === false) {
+        return '카탈로그 API 결과라 활성화 지역 미확인 (단일 상품 비교로 상품 페이지 확인 필요)';
+    }
+    return null;
+}
+
+// 크롤링한 상품의 활성화 지역/플랫폼 기록 (상품 URL 기준, 내보내기 검사에 사용)
+const ACTIVATION_INFO_FILE = process.env.ACTIVATION_INFO_FILE || path.join(DATA_DIR, 'activation-info.json');
+const activationInfo = readJsonFile(ACTIVATION_INFO_FILE, {});
+
+function recordActivationInfo(games) {
+    const checkedAt = new Date().toISOString();
+    for (const game of games) {
+        const key = normalizeOverrideUrl(game.url);
+        if (!key) continue;
+        
+        activationInfo[key] = {
+            region: game.region,
+            platform: game.platform,
+            koreaActivatable: game.koreaActivatable,
+            activationNote: game.activationNote,
+            activationVerified: game.activationVerified !== false,
+            checkedAt
+        };
+    }
+    
+    try {
+        writeJsonFile(ACTIVATION_INFO_FILE, activationInfo);
+    } catch (error) {
+        console.error('활성화 정보 저장 오류:', error.message);
+    }
+}
+
+// 서버에 남은 활성화 정보 (크롤링 기록 → 카탈로그 인덱스 순, 없으면 null)
+function findStoredActivationInfo(url) {
+    const key = normalizeOverrideUrl(url);
+    if (!key) return null;
+    if (activationInfo[key]) return activationInfo[key];
+    
+    for (const store of Object.values(catalogIndex.stores)) {
+        if (store.products[url]) return store.products[url];
+    }
+    return null;
+}
+
+// 내보내기 차단 대상 목록 (id, name, reason)
+// 요청 본문의 지역/플랫폼 값은 믿지 않고 서버에 남은 크롤링 결과로 판단
+function findKoreaExportBlockedGames(games) {
+    return games
+        .map(game => {
+            const stored = findStoredActivationInfo(game.cdkeysUrl || game.url);
+            const reason = stored
+                ? getKoreaExportBlockReason(stored)
+                : '크롤링 기록이 없어 활성화 지역을 확인할 수 없음 (가격 비교를 다시 실행하세요)';
+            return { id: game.id, name: game.name, reason };
+        })
+        .filter(game => game.reason);
+}
+
+// 카운트다운 문구("Ends in 2d 05:12:33", "3 days left")를 종료 시각으로 변환
+function parseCountdownText(text, now = Date.now()) {
+    if (!text) return null;
+    
+    let totalMs = 0;
+    // 한글 단위 뒤에서는 \b가 동작하지 않으므로 영문자가 이어지지 않는지로 단어 경계 판단
+    const days = text.match(/(\d+)\s*(d|day|days|일)(?![A-Za-z])/i);
+    const hours = text.match(/(\d+)\s*(h|hr|hrs|hour|hours|시간)(?![A-Za-z])/i);
+    const minutes = text.match(/(\d+)\s*(m|min|mins|minute|minutes|분)(?![A-Za-z])/i);
+    const clock = text.match(/(\d{1,2}):(\d{2}):(\d{2})/);
+    
+    if (days) totalMs += parseInt(days[1]) * 86400000;
+    if (clock) {
+        totalMs += (parseInt(clock[1]) * 3600 + parseInt(clock[2]) * 60 + parseInt(clock[3])) * 1000;
+    } else {
+        if (hours) totalMs += parseInt(hours[1]) * 3600000;
+        if (minutes) totalMs += parseInt(minutes[1]) * 60000;
+    }
+    
+    return totalMs > 0 ? new Date(now + totalMs).toISOString() : null;
+}
+
+// 할인 종료 시각 값(epoch 초/밀리초 또는 날짜 문자열)을 ISO 문자열로 변환
+function parseSaleEndValue(value) {
+    if (!value) return null;
+    
+    if (/^\d{10}$/.test(value)) return new Date(parseInt(value) * 1000).toISOString();
+    if (/^\d{13}$/.test(value)) return new Date(parseInt(value)).toISOString();
+    
+    const timestamp = Date.parse(value);
+    return isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+}
+
+// 공급처 정가/할인가/할인율/할인 종료 시각 추출
+function extractSaleInfo($, root, selectors, currentPrice) {
+    const prefix = root ? 'list' : '';
+    const pick = name => selectors[prefix ? `${prefix}${name[0].toUpperCase()}${name.slice(1)}` : name] || [];
+    
+    const regularPrice = selectFirstText($, root, pick('regularPrice')) || null;
+    const discountText = selectFirstText($, root, pick('discount'));
+    
+    let discountPercent = null;
+    const discountMatch = discountText.match(/(\d{1,2})\s*%/);
+    if (discountMatch) {
+        discountPercent = parseInt(discountMatch[1]);
+    } else if (regularPrice && currentPrice) {
+        const regularValue = parsePrice(regularPrice);
+        const currentValue = parsePrice(currentPrice);
+        if (regularValue > currentValue && currentValue > 0) {
+            discountPercent = Math.round((1 - currentValue / regularValue) * 100);
+        }
+    }
+    
+    let saleEndsAt = null;
+    const saleEndElement = selectFirst($, root, pick('saleEnd'));
+    if (saleEndElement) {
+        saleEndsAt = parseSaleEndValue(
+            saleEndElement.attr('data-countdown') ||
+            saleEndElement.attr('data-end-date') ||
+            saleEndElement.attr('data-end') ||
+            saleEndElement.attr('data-expires') ||
+            saleEndElement.attr('datetime')
+        ) || parseCountdownText(saleEndElement.text());
+    }
+    
+    const onSale = !!(regularPrice && regularPrice !== currentPrice) || discountPercent > 0;
+    
+    return {
+        regularPrice: onSale ? regularPrice : null,
+        salePrice: onSale ? currentPrice : null,
+        discountPercent: onSale ? discountPercent : null,
+        saleEndsAt,
+        saleCountdown: onSale && !!saleEndElement    // 종료 시각을 못 읽어도 카운트다운/특가 배지가 있으면 한시 할인
+    };
+}
+
+// 페이지에 표시된 통화 (schema.org / Open Graph meta 태그, 없으면 null)
+function detectPageCurrency($, root) {
+    const currencySelector = 'meta[itemprop="priceCurrency"], meta[property="product:price:currency"], meta[property="og:price:currency"]';
+    const element = root ? $(root).find(currencySelector).first() : $(currencySelector).first();
+    const currency = (element.attr('content') || '').trim().toUpperCase();
+    return currency || null;
+}
+
+// 페이지가 밝힌 통화 기호를 현재가/정가에 적용
+function applyProductCurrency(product, currency) {
+    return {
+        ...product,
+        price: applyStoreCurrency(product.price, currency),
+        regularPrice: applyStoreCurrency(product.regularPrice, currency),
+        salePrice: applyStoreCurrency(product.salePrice, currency)
+    };
+}
+
+// 비교 결과에 붙일 공급처 할인 정보 (한시 할인이면 경고 문구 포함)
+// 할인가만 있고 종료 시각/카운트다운이 없으면 상시 할인으로 보고 한시 할인 경고를 붙이지 않음
+function buildSupplierSaleFields(game) {
+    const isTemporaryDeal = !!(game.saleEndsAt || game.saleCountdown);
+    let saleWarning = '';
+    
+    if (isTemporaryDeal) {
+        const discountLabel = game.discountPercent ? ` (-${game.discountPercent}%)` : '';
+        const endLabel = game.saleEndsAt ? `, ${game.saleEndsAt.replace('T', ' ').slice(0, 16)} UTC 종료 예정` : '';
+        saleWarning = `공급처 한시 할인가${discountLabel}${endLabel} - 할인 종료 후 판매가 재조정 필요 (정가 ${game.regularPrice || '알 수 없음'})`;
+    }
+    
+    return {
+        supplierRegularPrice: game.regularPrice || null,
+        supplierSalePrice: game.salePrice || null,
+        supplierDiscountPercent: game.discountPercent || null,
+        saleEndsAt: game.saleEndsAt || null,
+        isTemporaryDeal,
+        saleWarning
+    };
+}
+
+// 셀렉터 설정으로 목록 페이지 파싱
+function parseListingWithSelectors($, pageUrl, selectors) {
+    let items = [];
+    for (const selector of selectors.listItem) {
+        items = $(selector).toArray();
+        if (items.length > 0) break;
+    }
+    
+    const pageCurrency = detectPageCurrency($);
+    const gameList = [];
+    items.forEach((item) => {
+        const linkElement = selectFirst($, item, selectors.listLink);
+        const price = selectFirstText($, item, selectors.listPrice);
+        
+        if (!linkElement || !price) return;
+        
+        const originalName = linkElement.text().trim() || linkElement.attr('title') || '';
+        const href = linkElement.attr('href');
+        
+        if (originalName && href) {
+            gameList.push(applyProductCurrency({
+                originalName,
+                price,
+                url: new URL(href, pageUrl).href,
+                ...extractAvailability($, item, selectors),
+                ...extractSaleInfo($, item, selectors, price),
+                ...analyzeActivationRestrictions({ title: originalName })
+            }, detectPageCurrency($, item) || pageCurrency));
+        }
+    });
+    
+    return gameList;
+}
+
+// 셀렉터 설정으로 상품 페이지 파싱 (가격 요소가 없으면 meta 태그 사용)
+function parseProductWithSelectors($, pageUrl, selectors) {
+    const originalName = selectFirstText($, null, selectors.title);
+    let price = selectFirstText($, null, selectors.price);
+    
+    if (!price) {
+        const metaPrice = $('meta[itemprop="price"]').attr('content');
+        if (metaPrice) {
+            price = metaPrice;
+        }
+    }
+    
+    const restrictionText = (selectors.restrictions || [])
+        .map(selector => $(selector).text().replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n')
+        .slice(0, 5000);
+    
+    return applyProductCurrency({
+        originalName,
+        price,
+        ...extractAvailability($, null, selectors),
+        ...extractSaleInfo($, null, selectors, price),
+        ...analyzeActivationRestrictions({
+            title: originalName,
+            regionText: selectFirstText($, null, selectors.region || []),
+            platformText: selectFirstText($, null, selectors.platform || []),
+            restrictionText
+        })
+    }, detectPageCurrency($));
+}
+
+// URL 호스트명이 스토어 도메인(하위 도메인 포함)과 일치하는지 확인
+function matchStoreHostname(url, hostnames) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+        return false;
+    }
+    return hostnames.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+// 스토어 어댑터 레지스트리
+const storeAdapters = [];
+
+// 사이트별 셀렉터 설정 파일 (수정하면 서버 재시작 없이 다시 읽음)
+const SELECTOR_CONFIG_FILE = process.env.SELECTOR_CONFIG_FILE || path.join(__dirname, 'selectors.config.json');
+const REQUIRED_SELECTOR_KEYS = ['listItem', 'listLink', 'listPrice', 'title', 'price', 'productReady'];
+
+// 현재 적용 중인 셀렉터 설정 (다시 읽기에 실패하면 이전 설정 유지)
+const selectorConfig = {
+    sites: {},
+    loadedAt: null,
+    lastError: null
+};
+
+// 셀렉터 세트 검증 (문자열 배열, CSS 문법, requireAll이면 필수 항목 포함) → 오류 메시지 목록
+function validateSelectorSet(selectors, { requireAll = true } = {}) {
+    if (!selectors || typeof selectors !== 'object' || Array.isArray(selectors)) {
+        return ['셀렉터 세트는 객체여야 합니다.'];
+    }
+    
+    const errors = [];
+    if (requireAll) {
+        REQUIRED_SELECTOR_KEYS
+            .filter(key => !Array.isArray(selectors[key]) || selectors[key].length === 0)
+            .forEach(key => errors.push(`필수 셀렉터 누락: ${key}`));
+    }
+    
+    const $ = cheerio.load('');
+    for (const [key, list] of Object.entries(selectors)) {
+        if (!Array.isArray(list) || list.some(selector => typeof selector !== 'string' || !selector.trim())) {
+            errors.push(`${key}: 셀렉터 문자열 배열이어야 합니다.`);
+            continue;
+        }
+        
+        for (const selector of list) {
+            try {
+                $(selector);
+            } catch (error) {
+                errors.push(`${key}: 잘못된 셀렉터 "${selector}" (${error.message})`);
+            }
+        }
+    }
+    
+    return errors;
+}
+
+// 설정 파일 읽기 → 검증 → 등록된 어댑터에 적용 (크롤링 캐시도 비움)
+function loadSelectorConfig(reason = '시작') {
+    try {
+        const sites = JSON.parse(fs.readFileSync(SELECTOR_CONFIG_FILE, 'utf8'));
+        
+        const errors = Object.entries(sites).flatMap(([siteId, selectors]) =>
+            validateSelectorSet(selectors).map(message => `${siteId}.${message}`)
+        );
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+        
+        selectorConfig.sites = sites;
+        selectorConfig.loadedAt = new Date().toISOString();
+        selectorConfig.lastError = null;
+        
+        storeAdapters.forEach(adapter => {
+            if (sites[adapter.id]) {
+                adapter.selectors = mergeSiteSelectors(adapter, sites[adapter.id]);
+            }
+        });
+        
+        clearScrapeCache();
+        
+        console.log(`🎯 셀렉터 설정 로드 (${reason}): ${Object.keys(sites).join(', ')}`);
+        return true;
+    } catch (error) {
+        selectorConfig.lastError = error.message;
+        console.error(`셀렉터 설정 로드 오류 (${reason}), 이전 설정 유지:`, error.message);
+        return false;
+    }
+}
+
+// 설정 파일 셀렉터에 빠진 항목(재고, 지역, 할인 등)은 어댑터 기본 셀렉터로 채움
+// 빠진 항목이 그대로 비면 품절 제외/한국코드 검사/할인 정보가 조용히 꺼지므로 경고를 남김
+function mergeSiteSelectors(adapter, siteSelectors) {
+    if (!siteSelectors) return { ...adapter.defaultSelectors };
+    
+    const defaults = adapter.defaultSelectors || {};
+    const missingKeys = Object.keys(defaults).filter(key => !siteSelectors[key]);
+    if (missingKeys.length > 0) {
+        console.warn(`⚠️ ${adapter.name || adapter.id} 셀렉터 설정에 없는 항목은 기본 셀렉터 사용: ${missingKeys.join(', ')}`);
+    }
+    
+    return { ...defaults, ...siteSelectors };
+}
+
+loadSelectorConfig();
+
+// 셀렉터 세트를 HTML에 적용해 셀렉터별 추출 결과 반환 (list* 셀렉터는 상품 항목 안에서 검색)
+function runSelectorTest($, selectors, sampleSize = 3) {
+    let items = [];
+    for (const selector of selectors.listItem || []) {
+        items = $(selector).toArray();
+        if (items.length > 0) break;
+    }
+    
+    const describe = (element) => {
+        const sample = { text: element.text().replace(/\s+/g, ' ').trim().slice(0, 200) };
+        ['href', 'content', 'datetime', 'data-countdown', 'data-end-date'].forEach(attribute => {
+            if (element.attr(attribute)) sample[attribute] = element.attr(attribute);
+        });
+        return sample;
+    };
+    
+    const results = {};
+    for (const [key, list] of Object.entries(selectors)) {
+        const itemScoped = key.startsWith('list') && !['listItem', 'listContainer', 'listEmpty'].includes(key);
+        let used = false;
+        
+        results[key] = list.map((selector) => {
+            const found = itemScoped
+                ? items.map(item => $(item).find(selector).first()).filter(element => element.length > 0)
+                : $(selector).toArray().map(element => $(element));
+            
+            // 실제 파싱은 목록에서 처음 일치하는 셀렉터를 사용
+            const isUsed = !used && found.length > 0;
+            used = used || isUsed;
+            
+            return {
+                selector,
+                matches: found.length,
+                used: isUsed,
+                ...(itemScoped ? { itemsSearched: items.length } : {}),
+                samples: found.slice(0, sampleSize).map(describe)
+            };
+        });
+    }
+    
+    return results;
+}
+
+// 스토어 어댑터 등록 (생략된 훅은 셀렉터 기반 기본 구현 사용)
+// 셀렉터는 selectors.config.json의 어댑터 id 항목을 사용 (설정 파일이 없거나 잘못되면 어댑터의 defaultSelectors)
+// 어댑터 구조: { id, name, hostnames, currency, defaultSelectors, matchUrl, scrapeListing, scrapeProduct, cleanName,
+//               fetchProductApi?, fetchListingApi? (카탈로그 API가 있는 스토어만, 실패 시 DOM 크롤링),
+//               catalogSources?, sitemapUrls?, sitemapProductPattern? (전체 카탈로그 인덱스용) }
+// currency는 카탈로그 API에 요청하는 통화 (가격 문자열의 통화는 페이지/API 응답에 표시된 값만 사용)
+function registerStoreAdapter(adapter) {
+    if (!adapter.id || !adapter.name || !Array.isArray(adapter.hostnames) || adapter.hostnames.length === 0) {
+        throw new Error('스토어 어댑터에는 id, name, hostnames가 필요합니다.');
+    }
+    
+    if (storeAdapters.some(existing => existing.id === adapter.id)) {
+        throw new Error(`이미 등록된 스토어 어댑터입니다: ${adapter.id}`);
+    }
+    
+    if (!selectorConfig.sites[adapter.id]) {
+        if (!adapter.defaultSelectors) {
+            throw new Error(`셀렉터 설정이 없습니다: ${adapter.id} (${SELECTOR_CONFIG_FILE})`);
+        }
+        
+        selectorConfig.lastError = selectorConfig.lastError || `셀렉터 설정이 없습니다: ${adapter.id}`;
+        console.warn(`⚠️ ${adapter.name} 셀렉터 설정 없음, 기본 셀렉터 사용`);
+    }
+    
+    const storeAdapter = {
+        currency: 'USD',
+        selectors: mergeSiteSelectors(adapter, selectorConfig.sites[adapter.id]),
+        matchUrl(url) {
+            return matchStoreHostname(url, this.hostnames);
+        },
+        scrapeListing($, pageUrl) {
+            return parseListingWithSelectors($, pageUrl, this.selectors);
+        },
+        scrapeProduct($, pageUrl) {
+            return parseProductWithSelectors($, pageUrl, this.selectors);
+        },
+        cleanName(name) {
+            return cleanGameName(name);
+        },
+        ...adapter
+    };
+    
+    storeAdapters.push(storeAdapter);
+    return storeAdapter;
+}
+
+// URL에 맞는 스토어 어댑터 선택 (지원하지 않는 호스트는 400 오류)
+function getStoreAdapter(url) {
+    const adapter = storeAdapters.find(candidate => candidate.matchUrl(url));
+    
+    if (!adapter) {
+        let hostname = url;
+        try {
+            hostname = new URL(url).hostname;
+        } catch (error) {
+            // 잘못된 URL은 입력값 그대로 표시
+        }
+        
+        const supportedHosts = storeAdapters.map(candidate => candidate.hostnames.join(', ')).join(', ');
+        const error = new Error(`지원하지 않는 스토어입니다: ${hostname} (지원: ${supportedHosts})`);
+        error.statusCode = 400;
+        throw error;
+    }
+    
+    return adapter;
+}
+
+// CDKeys 어댑터
+registerStoreAdapter({
+    id: 'cdkeys',
+    name: 'CDKeys',
+    hostnames: ['cdkeys.com'],
+    currency: 'USD',
+    catalogSources: ['https://www.cdkeys.com/pc/games'],
+    sitemapUrls: ['https://www.cdkeys.com/sitemap.xml'],
+    sitemapProductPattern: /^\/[a-z0-9-]*steam[a-z0-9-]*(\.html)?$/i,
+    // 기본 셀렉터 (selectors.config.json을 읽지 못했을 때 사용)
+    defaultSelectors: {
+        listItem: ['.product-item'],
+        listContainer: ['.products.wrapper', '.toolbar-products', '.message.info.empty'],
+        listEmpty: ['.message.info.empty'],
+        listLink: ['.product-item-link'],
+        listPrice: ['.price'],
+        title: ['h1.page-title', '.product-title', 'h1'],
+        price: ['.final-price .price span.price', '.final-price .price-wrapper .price .price', '[id^="product-price-"] .price .price'],
+        productReady: ['.final-price'],
+        stock: ['.product-info-stock-sku .stock', '.stock', '.availability'],
+        listStock: ['.stock', '.stock-status', '.product-label'],
+        releaseDate: ['.release-date', '.product-attribute-release-date .value', '[data-release-date]'],
+        region: ['.product-region', '[data-th="Region"]', '.product-attribute-region .value'],
+        platform: ['.product-platform', '[data-th="Platform"]', '.product-attribute-platform .value'],
+        restrictions: ['.product-region-restrictions', '.product.attribute.description', '.product.info.detailed .description'],
+        regularPrice: ['.old-price .price', '[data-price-type="oldPrice"] .price', '.rrp .price'],
+        discount: ['.discount-percent', '.product-discount', '.save-percent'],
+        saleEnd: ['[data-countdown]', '[data-end-date]', '.countdown', '.deal-timer'],
+        listRegularPrice: ['.old-price .price', '[data-price-type="oldPrice"] .price'],
+        listDiscount: ['.discount-percent', '.product-discount', '.save-percent'],
+        listSaleEnd: ['[data-countdown]', '[data-end-date]', '.countdown']
+    },
+    // Magento 스토어이므로 GraphQL 카탈로그 API 우선 사용
+    fetchProductApi(url, traffic) {
+        return fetchMagentoProduct(this, url, traffic);
+    },
+    fetchListingApi(url, crawl) {
+        return fetchMagentoListing(this, url, crawl);
+    }
+});
+
+// Loaded 어댑터 (마크업 변경이 잦아 selectors.config.json에 대체 셀렉터를 함께 둠)
+registerStoreAdapter({
+    id: 'loaded',
+    name: 'Loaded',
+    hostnames: ['loaded.com'],
+    currency: 'GBP',
+    catalogSources: ['https://www.loaded.com/pc/games'],
+    sitemapUrls: ['https://www.loaded.com/sitemap.xml'],
+    sitemapProductPattern: /^\/[a-z0-9-]*steam[a-z0-9-]*(\.html)?$/i,
+    defaultSelectors: {
+        listItem: ['.product-item', '.game-item', '.item', '[data-testid="product-item"]', '.product-card'],
+        listContainer: ['.products.wrapper', '.toolbar-products', '.message.info.empty', '.product-list'],
+        listEmpty: ['.message.info.empty'],
+        listLink: ['.product-item-link', '.game-link', 'a[href*="/game/"]', 'a[href*="/product/"]', '.product-link', 'a'],
+        listPrice: ['.price', '.product-price', '.game-price', '[data-testid="price"]', '.cost', '.amount'],
+        title: ['h1.page-title', '.product-title', 'h1'],
+        price: ['.final-price .price span.price', '.product-info-price .price', '[data-price-type="finalPrice"] .price', '.product-price'],
+        productReady: ['.final-price', '.product-info-price', '.product-price'],
+        stock: ['.product-info-stock-sku .stock', '.stock', '.availability', '.stock-status'],
+        listStock: ['.stock', '.stock-status', '.availability', '.product-label'],
+        releaseDate: ['.release-date', '.product-attribute-release-date .value', '[data-release-date]'],
+        region: ['.product-region', '.region', '[data-th="Region"]'],
+        platform: ['.product-platform', '.platform', '[data-th="Platform"]'],
+        restrictions: ['.region-restrictions', '.product-description', '.product.attribute.description'],
+        regularPrice: ['.old-price .price', '[data-price-type="oldPrice"] .price', '.was-price', '.rrp'],
+        discount: ['.discount-percent', '.discount', '.saving'],
+        saleEnd: ['[data-countdown]', '[data-end-date]', '.countdown', '.timer'],
+        listRegularPrice: ['.old-price .price', '.was-price', '.rrp'],
+        listDiscount: ['.discount-percent', '.discount', '.saving'],
+        listSaleEnd: ['[data-countdown]', '[data-end-date]', '.countdown']
+    },
+    cleanName(name) {
+        // Loaded 상품명에 붙는 사이트명/플랫폼 괄호 표기 제거 후 공통 정리
+        const siteCleaned = name
+            .replace(/\s*[|-]\s*Loaded(\.com)?\s*$/i, '')
+            .replace(/\s+\((PC|Steam)\)(?=\s)/gi, '')
+            .trim();
+        return cleanGameName(siteCleaned);
+    }
+});
+
+// 크롤링 실패 유형
+const SCRAPE_FAILURE_TYPES = {
+    selector_missing: '필수 셀렉터 없음 (마크업 변경 의심)',
+    challenge: 'Cloudflare/보안 확인 페이지',
+    not_found: '페이지 없음 (404)',
+    timeout: '시간 초과',
+    price_unparsable: '가격 파싱 실패',
+    network: '네트워크 오류',
+    fixture_missing: '리플레이 픽스처 없음',
+    unknown: '알 수 없는 오류'
+};
+
+// 분류된 크롤링 오류 생성 (404는 그대로, 나머지는 502로 응답)
+function createScrapeError(failureType, message) {
+    const error = new Error(`${message} [${SCRAPE_FAILURE_TYPES[failureType] || failureType}]`);
+    error.failureType = failureType;
+    error.statusCode = failureType === 'not_found' ? 404 : 502;
+    return error;
+}
+
+// HTML/상태 코드로 보안 확인 페이지나 404 페이지 판별
+function diagnoseScrapedPage(html, status) {
+    const content = typeof html === 'string' ? html : '';
+    
+    if (/cf-browser-verification|challenge-platform|cf-challenge|Just a moment\.\.\.|Attention Required! \| Cloudflare|cf-turnstile/i.test(content)) {
+        return 'challenge';
+    }
+    
+    if (status === 404 || /cms-noroute-index|404 Not Found|Whoops, our bad/i.test(content)) {
+        return 'not_found';
+    }
+    
+    if (status === 403 || status === 503) {
+        return 'challenge';
+    }
+    
+    return null;
+}
+
+// 일반 오류를 크롤링 실패 유형으로 분류
+function classifyScrapeError(error) {
+    if (error.failureType) {
+        return error.failureType;
+    }
+    
+    if (error.response) {
+        const diagnosed = diagnoseScrapedPage(error.response.data, error.response.status);
+        if (diagnosed) return diagnosed;
+    }
+    
+    if (error.name === 'TimeoutError' || error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' ||
+        /timeout|시간 초과/i.test(error.message)) {
+        return 'timeout';
+    }
+    
+    if (error.isAxiosError || error.code || /net::ERR_/.test(error.message)) {
+        return 'network';
+    }
+    
+    return 'unknown';
+}
+
+// 분류되지 않은 오류를 크롤링 오류로 변환
+function toScrapeError(error) {
+    if (error.failureType) {
+        return error;
+    }
+    return createScrapeError(classifyScrapeError(error), error.message);
+}
+
+// 가격 문자열을 해석할 수 있는지 확인 (무료 표기는 허용)
+function isParsablePrice(priceText) {
+    const parsed = parsePrice(priceText);
+    if (isNaN(parsed)) return false;
+    return parsed > 0 || /free|무료/i.test(priceText);
+}
+
+// 사이트별 크롤링 성공/실패 통계 (최근 결과는 고정 크기로 유지)
+const SCRAPE_HEALTH_WINDOW = parseInt(process.env.SCRAPE_HEALTH_WINDOW) || 100;
+const scrapeHealth = {};
+
+function getSiteHealth(siteName) {
+    if (!scrapeHealth[siteName]) {
+        scrapeHealth[siteName] = {
+            totalSuccess: 0,
+            totalFailure: 0,
+            consecutiveFailures: 0,
+            failuresByType: {},
+            recent: [],
+            lastSuccessAt: null,
+            lastFailure: null
+        };
+    }
+    return scrapeHealth[siteName];
+}
+
+// 크롤링 결과 기록 (failureType이 없으면 성공)
+function recordScrapeOutcome(siteName, kind, url, failureType = null, message = '') {
+    const health = getSiteHealth(siteName);
+    const at = new Date().toISOString();
+    
+    health.recent.push({ ok: !failureType, kind, failureType, at });
+    if (health.recent.length > SCRAPE_HEALTH_WINDOW) {
+        health.recent.shift();
+    }
+    
+    if (!failureType) {
+        health.totalSuccess++;
+        health.consecutiveFailures = 0;
+        health.lastSuccessAt = at;
+        return;
+    }
+    
+    health.totalFailure++;
+    health.consecutiveFailures++;
+    health.failuresByType[failureType] = (health.failuresByType[failureType] || 0) + 1;
+    health.lastFailure = { failureType, message, url, kind, at };
+    
+    console.warn(`🩺 ${siteName} 크롤링 실패 기록: ${failureType} (연속 ${health.consecutiveFailures}회)`);
+}
+
+// 사이트별 상태 요약: healthy / degraded / failing
+function getScrapeHealthReport() {
+    const sites = {};
+    
+    Object.entries(scrapeHealth).forEach(([siteName, health]) => {
+        const recentFailures = health.recent.filter(entry => !entry.ok);
+        const recentSuccessRate = health.recent.length > 0
+            ? Math.round(((health.recent.length - recentFailures.length) / health.recent.length) * 100)
+            : null;
+        
+        const recentFailuresByType = {};
+        recentFailures.forEach(entry => {
+            recentFailuresByType[entry.failureType] = (recentFailuresByType[entry.failureType] || 0) + 1;
+        });
+        
+        let status = 'healthy';
+        if (health.consecutiveFailures >= 5 || (recentSuccessRate !== null && recentSuccessRate < 50)) {
+            status = 'failing';
+        } else if (health.consecutiveFailures > 0 || (recentSuccessRate !== null && recentSuccessRate < 90)) {
+            status = 'degraded';
+        }
+        
+        sites[siteName] = {
+            status,
+            recentSuccessRate,
+            recentSamples: health.recent.length,
+            recentFailuresByType,
+            // 최근 실패의 절반 이상이 셀렉터 누락이면 마크업 변경 의심
+            selectorDriftSuspected: (recentFailuresByType.selector_missing || 0) >= Math.max(3, recentFailures.length / 2),
+            totalSuccess: health.totalSuccess,
+            totalFailure: health.totalFailure,
+            consecutiveFailures: health.consecutiveFailures,
+            failuresByType: health.failuresByType,
+            lastSuccessAt: health.lastSuccessAt,
+            lastFailure: health.lastFailure
+        };
+    });
+    
+    return sites;
+}
+
+// 정적 HTML 크롤링 설정 (axios + cheerio로 먼저 시도하고 실패 시 Puppeteer 사용)
+const STATIC_SCRAPE_ENABLED = process.env.STATIC_SCRAPE !== 'false';
+const STATIC_SCRAPE_TIMEOUT = parseInt(process.env.STATIC_SCRAPE_TIMEOUT) || 15000;
+
+// 크롤링 방식별 소요 시간 / 전송량 통계 (static / browser)
+const scrapeTimings = {};
+
+function recordScrapeTiming(kind, method, durationMs, traffic = createTrafficStats()) {
+    const key = `${kind}:${method}`;
+    if (!scrapeTimings[key]) {
+        scrapeTimings[key] = { kind, method, count: 0, totalMs: 0, ...createTrafficStats() };
+    }
+    scrapeTimings[key].count++;
+    scrapeTimings[key].totalMs += durationMs;
+    addTrafficStats(scrapeTimings[key], traffic);
+}
+
+function getScrapeTimingStats() {
+    return Object.values(scrapeTimings).map(timing => ({
+        ...timing,
+        averageMs: Math.round(timing.totalMs / timing.count),
+        averageBytes: Math.round(timing.bytes / timing.count)
+    }));
+}
+
+// 크롤링 HTML 픽스처 (record: 크롤링한 HTML 저장, replay: 네트워크 대신 저장된 HTML 사용)
+const SCRAPE_FIXTURE_MODE = (process.env.SCRAPE_FIXTURE_MODE || '').toLowerCase();
+const SCRAPE_FIXTURE_DIR = process.env.SCRAPE_FIXTURE_DIR || path.join(__dirname, 'fixtures', 'scrapes');
+
+function isFixtureReplay() {
+    return SCRAPE_FIXTURE_MODE === 'replay';
+}
+
+// URL별 픽스처 파일 경로 (호스트명 + URL 해시)
+function getScrapeFixturePath(url) {
+    let hostname = 'unknown';
+    try {
+        hostname = new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+        // 잘못된 URL도 해시로 구분
+    }
+    const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 16);
+    return path.join(SCRAPE_FIXTURE_DIR, `${hostname}_${hash}.json`);
+}
+
+// 목록 N번째 단계의 픽스처 키 (더 보기/무한 스크롤은 URL이 바뀌지 않으므로 단계 번호로 구분)
+function getListPageFixtureKey(url, step) {
+    return step === 0 ? url : `${url}#page=${step + 1}`;
+}
+
+function hasScrapeFixture(url) {
+    return fs.existsSync(getScrapeFixturePath(url));
+}
+
+// 픽스처 저장 (record 모드에서만 동작, 브라우저 결과가 정적 결과를 덮어씀)
+function saveScrapeFixture(url, finalUrl, html, method) {
+    if (SCRAPE_FIXTURE_MODE !== 'record') return;
+    
+    try {
+        if (!fs.existsSync(SCRAPE_FIXTURE_DIR)) {
+            fs.mkdirSync(SCRAPE_FIXTURE_DIR, { recursive: true });
+        }
+        
+        const fixture = { url, finalUrl, method, recordedAt: new Date().toISOString(), html };
+        fs.writeFileSync(getScrapeFixturePath(url), JSON.stringify(fixture, null, 2));
+        console.log(`📼 픽스처 저장 (${method}): ${url}`);
+    } catch (error) {
+        console.error(`픽스처 저장 오류 (${url}):`, error.message);
+    }
+}
+
+// 픽스처 읽기 (replay 모드, 없으면 fixture_missing 오류)
+function loadScrapeFixture(url) {
+    const fixturePath = getScrapeFixturePath(url);
+    
+    if (!fs.existsSync(fixturePath)) {
+        throw createScrapeError('fixture_missing', `픽스처가 없습니다: ${url} (${path.basename(fixturePath)})`);
+    }
+    
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    console.log(`📼 픽스처 사용 (${fixture.method}, ${fixture.recordedAt}): ${url}`);
+    return { html: fixture.html, finalUrl: fixture.finalUrl || url, traffic: createTrafficStats() };
+}
+
+// 크롤링 실패 디버그 자료 (스크린샷 + HTML 스냅샷, URL/시각별 저장 후 보관 기간 지나면 삭제)
+const SCRAPE_DEBUG_ENABLED = process.env.SCRAPE_DEBUG !== 'false';
+const SCRAPE_DEBUG_DIR = process.env.SCRAPE_DEBUG_DIR || path.join(__dirname, 'debug', 'scrapes');
+const SCRAPE_DEBUG_RETENTION_HOURS = parseInt(process.env.SCRAPE_DEBUG_RETENTION_HOURS) || 72;
+const SCRAPE_DEBUG_MAX_ARTIFACTS = parseInt(process.env.SCRAPE_DEBUG_MAX_ARTIFACTS) || 200;
+const SCRAPE_DEBUG_ID_PATTERN = /^\d{8}T\d{6}_[a-z0-9.-]+_[0-9a-f]{8}$/;
+
+// 실패 시점 페이지 상태 수집 (스냅샷 실패가 원래 오류를 가리지 않도록 오류 무시)
+async function captureDebugSnapshot(page) {
+    if (!SCRAPE_DEBUG_ENABLED) return null;
+    
+    const snapshot = { finalUrl: null, html: null, screenshot: null, method: 'browser' };
+    try {
+        snapshot.finalUrl = page.url();
+        snapshot.html = await page.content();
+        snapshot.screenshot = await page.screenshot({ type: 'png', fullPage: true, captureBeyondViewport: false });
+    } catch (error) {
+        console.warn(`⚠️ 디버그 스냅샷 일부 실패: ${error.message}`);
+    }
+    return snapshot.html || snapshot.screenshot ? snapshot : null;
+}
+
+// 실패 자료 저장: {id}.json (메타데이터), {id}.html, {id}.png
+function saveFailureArtifacts({ kind, siteName, url, error, snapshot }) {
+    if (!SCRAPE_DEBUG_ENABLED || !snapshot || error.failureType === 'fixture_missing') return null;
+    
+    try {
+        fs.mkdirSync(SCRAPE_DEBUG_DIR, { recursive: true });
+        
+        let hostname = 'unknown';
+        try {
+            hostname = new URL(url).hostname.replace(/^www\./, '');
+        } catch (parseError) {
+            // 잘못된 URL도 해시로 구분
+        }
+        
+        const createdAt = new Date();
+        const stamp = createdAt.toISOString().replace(/[-:]/g, '').slice(0, 15);
+        const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 8);
+        const id = `${stamp}_${hostname}_${hash}`;
+        
+        const files = [];
+        if (snapshot.html) {
+            fs.writeFileSync(path.join(SCRAPE_DEBUG_DIR, `${id}.html`), snapshot.html);
+            files.push('html');
+        }
+        if (snapshot.screenshot) {
+            fs.writeFileSync(path.join(SCRAPE_DEBUG_DIR, `${id}.png`), snapshot.screenshot);
+            files.push('png');
+        }
+        
+        const metadata = {
+            id,
+            kind,
+            site: siteName,
+            url,
+            finalUrl: snapshot.finalUrl || url,
+            method: snapshot.method,
+            failureType: error.failureType,
+            message: error.message,
+            files,
+            createdAt: createdAt.toISOString()
+        };
+        fs.writeFileSync(path.join(SCRAPE_DEBUG_DIR, `${id}.json`), JSON.stringify(metadata, null, 2));
+        
+        console.log(`🧾 크롤링 실패 자료 저장: ${id} (${files.join(', ')})`);
+        cleanupFailureArtifacts();
+        return metadata;
+    } catch (saveError) {
+        console.error('크롤링 실패 자료 저장 오류:', saveError.message);
+        return null;
+    }
+}
+
+// 저장된 실패 자료 목록 (최신순)
+function listFailureArtifacts() {
+    if (!fs.existsSync(SCRAPE_DEBUG_DIR)) return [];
+    
+    return fs.readdirSync(SCRAPE_DEBUG_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => readJsonFile(path.join(SCRAPE_DEBUG_DIR, file), null))
+        .filter(Boolean)
+        .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+function removeFailureArtifact(artifactId) {
+    ['json', 'html', 'png'].forEach(extension => {
+        fs.rmSync(path.join(SCRAPE_DEBUG_DIR, `${artifactId}.${extension}`), { force: true });
+    });
+}
+
+// 보관 기간이 지났거나 최대 개수를 넘는 자료 삭제
+function cleanupFailureArtifacts() {
+    const expiresBefore = Date.now() - SCRAPE_DEBUG_RETENTION_HOURS * 60 * 60 * 1000;
+    let removed = 0;
+    
+    listFailureArtifacts().forEach((artifact, index) => {
+        if (index < SCRAPE_DEBUG_MAX_ARTIFACTS && Date.parse(artifact.createdAt) >= expiresBefore) return;
+        
+        removeFailureArtifact(artifact.id);
+        removed++;
+    });
+    
+    if (removed > 0) {
+        console.log(`🧹 오래된 크롤링 실패 자료 ${removed}건 삭제`);
+    }
+    return removed;
+}
+
+// 정적 HTML 요청 (리다이렉트 후 최종 URL 포함)
+async function fetchStaticHtml(url) {
+    if (isFixtureReplay()) {
+        return loadScrapeFixture(url);
+    }
+    
+    const response = await outboundRequest({
+        url,
+        timeout: STATIC_SCRAPE_TIMEOUT,
+        maxRedirects: 5,
+        responseType: 'text',
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+            'Accept-Language': 'en-US,en;q=0.8'
+        }
+    });
+    
+    const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || url;
+    saveScrapeFixture(url, finalUrl, response.data, 'static');
+    
+    const bytes = parseInt(response.headers['content-length']) || Buffer.byteLength(response.data || '');
+    return { html: response.data, finalUrl, traffic: { requests: 1, blockedRequests: 0, bytes } };
+}
+
+// 셀렉터 목록 중 하나라도 문서에 존재하는지 확인
+function hasAnySelector($, selectors) {
+    return selectors.some(selector => $(selector).length > 0);
+}
+
+// 상품 요소는 없지만 목록 영역(툴바, 빈 결과 안내)은 있는 정상적인 빈 목록인지 확인
+// 정적 HTML은 상품을 JS로 그리는 페이지도 목록 영역은 있으므로 빈 결과 안내(listEmpty)만 인정 (explicitOnly)
+function isEmptyListingPage($, selectors, explicitOnly = false) {
+    if (hasAnySelector($, selectors.listItem)) return false;
+    if (hasAnySelector($, selectors.listEmpty || [])) return true;
+    return !explicitOnly && hasAnySelector($, selectors.listContainer || []);
+}
+
+// Magento 카탈로그 API 설정 (GraphQL로 먼저 조회하고 실패 시 DOM 크롤링 사용)
+const STORE_API_ENABLED = process.env.STORE_API !== 'false';
+const STORE_API_TIMEOUT = parseInt(process.env.STORE_API_TIMEOUT) || 15000;
+const MAGENTO_PAGE_SIZE = parseInt(process.env.MAGENTO_PAGE_SIZE) || 48;
+
+// 픽스처 녹화/재생 중에는 API를 쓰지 않음 (API 응답은 HTML 픽스처로 남지 않음)
+function isStoreApiEnabled() {
+    return STORE_API_ENABLED && !isFixtureReplay() && SCRAPE_FIXTURE_MODE !== 'record';
+}
+
+// 목록 URL에서 API 조회에 영향이 없는 쿼리 파라미터 (페이지, 정렬, 표시 방식)
+const MAGENTO_LISTING_VIEW_PARAMS = ['p', 'q', 'product_list_order', 'product_list_dir', 'product_list_limit', 'product_list_mode'];
+
+// 목록/상품 공통 조회 필드 (가격, 재고, 특가 종료일, 활성화 제한 문구가 담긴 설명)
+const MAGENTO_PRODUCT_FIELDS = `
+    name
+    sku
+    url_key
+    url_suffix
+    stock_status
+    special_to_date
+    description { html }
+    price_range {
+        minimum_price {
+            regular_price { value currency }
+            final_price { value currency }
+            discount { percent_off }
+        }
+    }
+`;
+
+// 스토어 GraphQL 엔드포인트 호출 (GraphQL 오류도 예외로 처리)
+async function queryMagentoGraphql(adapter, storeUrl, query, variables, traffic) {
+    const endpoint = new URL('/graphql', storeUrl).href;
+    const response = await outboundRequest({
+        method: 'post',
+        url: endpoint,
+        data: { query, variables },
+        timeout: STORE_API_TIMEOUT,
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'Content-Currency': adapter.currency
+        }
+    });
+    
+    if (traffic) {
+        addTrafficStats(traffic, {
+            requests: 1,
+            blockedRequests: 0,
+            bytes: parseInt(response.headers['content-length']) || JSON.stringify(response.data || '').length
+        });
+    }
+    
+    const body = response.data || {};
+    if (Array.isArray(body.errors) && body.errors.length > 0) {
+        throw new Error(`GraphQL 오류: ${body.errors.map(error => error.message).join(', ')}`);
+    }
+    if (!body.data) {
+        throw new Error('GraphQL 응답에 data가 없습니다.');
+    }
+    
+    return body.data;
+}
+
+// GraphQL 상품을 목록 크롤링과 같은 형태로 변환
+function mapMagentoProduct(adapter, item, storeUrl) {
+    const minimumPrice = (item.price_range && item.price_range.minimum_price) || {};
+    const finalPrice = minimumPrice.final_price || {};
+    const regularPrice = minimumPrice.regular_price || {};
+    // 응답에 통화가 없으면 기호 없이 두어 해석 불가 가격으로 처리
+    const formatPrice = value => applyStoreCurrency(Number(value).toFixed(2), finalPrice.currency);
+    
+    const price = typeof finalPrice.value === 'number' ? formatPrice(finalPrice.value) : '';
+    const onSale = typeof regularPrice.value === 'number' && regularPrice.value > finalPrice.value;
+    const percentOff = minimumPrice.discount && minimumPrice.discount.percent_off;
+    
+    let availability = item.stock_status === 'OUT_OF_STOCK' ? 'out_of_stock' : 'in_stock';
+    if (availability === 'in_stock' && classifyAvailabilityText(item.name) === 'pre_order') {
+        availability = 'pre_order';
+    }
+    
+    // 상품 설명의 지역/플랫폼/제한 문구로 판정하고, 판정하지 못하면 상품 페이지 확인 전까지 미확인으로 표시
+    const descriptionHtml = (item.description && item.description.html) || '';
+    const restrictionText = descriptionHtml
+        ? cheerio.load(descriptionHtml).text().replace(/\s+/g, ' ').trim().slice(0, 5000)
+        : '';
+    const activation = analyzeActivationRestrictions({ title: item.name || '', restrictionText });
+    
+    return {
+        originalName: (item.name || '').trim(),
+        price,
+        url: new URL(`/${item.url_key}${item.url_suffix || ''}`, storeUrl).href,
+        availability,
+        releaseDate: null,
+        regularPrice: onSale ? formatPrice(regularPrice.value) : null,
+        salePrice: onSale ? price : null,
+        discountPercent: onSale ? Math.round(percentOff || (1 - finalPrice.value / regularPrice.value) * 100) : null,
+        saleEndsAt: onSale ? parseSaleEndValue(item.special_to_date) : null,
+        ...activation,
+        activationVerified: activation.koreaActivatable !== null
+    };
+}
+
+// 상품 URL의 url_key로 단일 상품 조회 (찾지 못하면 null → DOM 크롤링)
+async function fetchMagentoProduct(adapter, url, traffic) {
+    const urlKey = new URL(url).pathname.split('/').filter(Boolean).pop();
+    if (!urlKey) return null;
+    
+    const data = await queryMagentoGraphql(adapter, url, `
+        query ProductByUrlKey($urlKey: String!) {
+            products(filter: { url_key: { eq: $urlKey } }) {
+                items { ${MAGENTO_PRODUCT_FIELDS} }
+            }
+        }
+    `, { urlKey: urlKey.replace(/\.html$/, '') }, traffic);
+    
+    const item = data.products && data.products.items && data.products.items[0];
+    return item ? mapMagentoProduct(adapter, item, url) : null;
+}
+
+// 목록 URL을 GraphQL 상품 검색 조건으로 변환 (카테고리 경로 또는 검색어)
+async function resolveMagentoListingFilter(adapter, url, traffic) {
+    const listUrl = new URL(url);
+    
+    // 레이어 내비게이션 필터(?platform=, ?price= 등)는 GraphQL 필터로 옮기지 않고 DOM 크롤링 사용
+    const filterParams = Array.from(listUrl.searchParams.keys()).filter(key => !MAGENTO_LISTING_VIEW_PARAMS.includes(key));
+    if (filterParams.length > 0) {
+        throw new Error(`필터 파라미터가 있는 목록입니다: ${filterParams.join(', ')}`);
+    }
+    
+    if (/catalogsearch\/result/.test(listUrl.pathname)) {
+        const searchTerm = listUrl.searchParams.get('q');
+        if (!searchTerm) throw new Error('검색어(q)가 없는 검색 목록입니다.');
+        return { search: searchTerm, filter: {} };
+    }
+    
+    const data = await queryMagentoGraphql(adapter, url, `
+        query ResolveCategory($url: String!) {
+            urlResolver(url: $url) { id type }
+        }
+    `, { url: listUrl.pathname.replace(/^\//, '') }, traffic);
+    
+    const resolved = data.urlResolver;
+    if (!resolved || resolved.type !== 'CATEGORY') {
+        throw new Error(`카테고리 URL이 아닙니다: ${listUrl.pathname}`);
+    }
+    
+    return { search: null, filter: { category_id: { eq: String(resolved.id) } } };
+}
+
+// 카테고리/검색 목록을 페이지 단위로 조회 (크롤링 제한은 DOM 방식과 동일)
+async function fetchMagentoListing(adapter, url, crawl) {
+    const { search, filter } = await resolveMagentoListingFilter(adapter, url, crawl.traffic);
+    let currentPage = getListPageNumber(url);
+    
+    while (true) {
+        const data = await queryMagentoGraphql(adapter, url, `
+            query CategoryProducts($search: String, $filter: ProductAttributeFilterInput, $pageSize: Int, $currentPage: Int) {
+                products(search: $search, filter: $filter, pageSize: $pageSize, currentPage: $currentPage) {
+                    total_count
+                    page_info { current_page total_pages }
+                    items { ${MAGENTO_PRODUCT_FIELDS} }
+                }
+            }
+        `, { search, filter, pageSize: MAGENTO_PAGE_SIZE, currentPage }, crawl.traffic);
+        
+        const products = data.products || {};
+        const pageGames = (products.items || [])
+            .map(item => mapMagentoProduct(adapter, item, url))
+            .filter(game => game.originalName && game.price);
+        
+        const totalPages = (products.page_info && products.page_info.total_pages) || currentPage;
+        if (!collectListingPage(crawl, pageGames, currentPage < totalPages)) break;
+        if (currentPage >= totalPages) break;
+        
+        currentPage++;
+        console.log(`➡️ ${adapter.name} 다음 페이지 조회 (api): ${currentPage}/${totalPages}`);
+    }
+    
+    return crawl;
+}
+
+// 상품 파싱 결과 검증 (이름/가격 누락, 해석 불가 가격)
+function validateScrapedProduct(product) {
+    if (!product.originalName || !product.price) {
+        throw createScrapeError('selector_missing', '게임 제목 또는 가격을 찾을 수 없습니다.');
+    }
+    
+    if (!isParsablePrice(product.price)) {
+        throw createScrapeError('price_unparsable', `가격을 해석할 수 없습니다: "${product.price}"`);
+    }
+}
+
+// CDKeys/Loaded 단일 페이지 가격 크롤링
+async function fetchGameSinglePrice(url, options = {}) {
+    const adapter = getStoreAdapter(url);
+    const siteName = adapter.name;
+    const cacheKey = `game_single_${url}`;
+    const cached = cache.get(cacheKey);
+    if (cached) {
+        console.log(`${siteName} 단일 페이지 캐시 데이터 사용`);
+        return cached;
+    }
+
+    // 실패 시 저장할 마지막 페이지 상태
+    let debugSnapshot = null;
+    
+    try {
+        const startedAt = Date.now();
+        let scrapeMethod = isFixtureReplay() ? 'fixture' : 'static';
+        let gameData = null;
+        let scrapeTraffic = createTrafficStats();
+        
+        if (adapter.fetchProductApi && isStoreApiEnabled()) {
+            try {
+                console.log(`${siteName} 카탈로그 API 조회: ${url}`);
+                const product = await adapter.fetchProductApi(url, scrapeTraffic);
+                if (product && product.activationVerified === false) {
+                    console.log(`⚠️ ${siteName} API 결과로 활성화 지역을 확인할 수 없음, 상품 페이지로 확인`);
+                } else if (product && product.originalName && product.price) {
+                    gameData = product;
+                    scrapeMethod = 'api';
+                } else {
+                    console.log(`⚠️ ${siteName} API에서 상품을 찾지 못함, 페이지 크롤링으로 재시도`);
+                }
+            } catch (error) {
+                console.log(`⚠️ ${siteName} API 조회 실패 (${error.message}), 페이지 크롤링으로 재시도`);
+            }
+        }
+        
+        if (!gameData && (STATIC_SCRAPE_ENABLED || isFixtureReplay())) {
+            try {
+                console.log(`${siteName} 단일 페이지 정적 로딩: ${url}`);
+                const { html, finalUrl, traffic } = await fetchStaticHtml(url);
+                const $ = cheerio.load(html);
+                scrapeTraffic = traffic;
+                debugSnapshot = { html, finalUrl, screenshot: null, method: scrapeMethod };
+
+                if (diagnoseScrapedPage(html) === 'not_found') {
+                    throw createScrapeError('not_found', `${siteName} 상품 페이지가 존재하지 않습니다.`);
+                }
+                
+                if (hasAnySelector($, adapter.selectors.productReady)) {
+                    const product = adapter.scrapeProduct($, finalUrl);
+                    if (product.originalName && product.price) {
+                        gameData = {
+                            ...product,
+                            url: finalUrl
+                        };
+                    }
+                }
+                
+                if (!gameData) {
+                    console.log(`⚠️ ${siteName} 정적 HTML에 가격 정보 없음, Puppeteer로 재시도`);
+                }
+            } catch (error) {
+                // 404는 브라우저로 다시 시도해도 같으므로 바로 실패 처리 (리플레이는 브라우저 사용 안 함)
+                if (isFixtureReplay() || classifyScrapeError(error) === 'not_found') {
+                    throw toScrapeError(error);
+                }
+                console.log(`⚠️ ${siteName} 정적 로딩 실패 (${error.message}), Puppeteer로 재시도`);
+            }
+        }
+        
+        if (!gameData && isFixtureReplay()) {
+            throw createScrapeError('selector_missing', `${siteName} 픽스처 HTML에 가격 정보가 없습니다.`);
+        }
+        
+        if (!gameData) {
+            scrapeMethod = 'browser';
+            gameData = await withPooledPage(async (page) => {
+                try {
+                    console.log(`${siteName} 단일 페이지 로딩: ${url}`);
+                    const response = await page.goto(url, { 
+                        waitUntil: 'networkidle2',
+                        timeout: 30000 
+                    });
+                    
+                    try {
+                        await page.waitForSelector(adapter.selectors.productReady.join(', '), { timeout: 10000 });
+                    } catch (error) {
+                        const failureType = diagnoseScrapedPage(await page.content(), response ? response.status() : null) || 'selector_missing';
+                        throw createScrapeError(failureType, `${siteName} 상품 페이지에서 가격 영역을 찾을 수 없습니다.`);
+                    }
+
+                    const finalUrl = page.url();
+                    const html = await page.content();
+                    saveScrapeFixture(url, finalUrl, html, 'browser');
+                    const product = adapter.scrapeProduct(cheerio.load(html), finalUrl);
+                    scrapeTraffic = getPageTraffic(page);
+                    
+                    const browserData = { 
+                        ...product,
+                        url: finalUrl
+                    };
+                    validateScrapedProduct(browserData);
+                    return browserData;
+                } catch (error) {
+                    error.debugSnapshot = await captureDebugSnapshot(page);
+                    throw error;
+                }
+            }, { owner: options.owner });
+        }
+        
+        validateScrapedProduct(gameData);
+        
+        const scrapeMs = Date.now() - startedAt;
+        recordScrapeTiming('product', scrapeMethod, scrapeMs, scrapeTraffic);
+        recordScrapeOutcome(siteName, 'product', url);
+
+        console.log(`${siteName} 단일 페이지 크롤링 완료 (${scrapeMethod}, ${scrapeMs}ms, ${formatBytes(scrapeTraffic.bytes)}, 차단 ${scrapeTraffic.blockedRequests}건): ${gameData.originalName} - ${gameData.price} [${gameData.availability}]`);
+        
+        const cleanName = adapter.cleanName(gameData.originalName);
+        const result = {
+            ...gameData,
+            name: cleanName,
+            ...parseGameEdition(gameData.originalName, cleanName),
+            id: `single_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            site: siteName,
+            scrapeMethod,
+            scrapeMs,
+            scrapeTraffic
+        };
+        
+        recordActivationInfo([result]);
+        cache.set(cacheKey, result);
+        return result;
+        
+    } catch (error) {
+        const scrapeError = toScrapeError(error);
+        recordScrapeOutcome(siteName, 'product', url, scrapeError.failureType, scrapeError.message);
+        saveFailureArtifacts({ kind: 'product', siteName, url, error: scrapeError, snapshot: error.debugSnapshot || debugSnapshot });
+        console.error(`${siteName} 단일 페이지 크롤링 오류 (${scrapeError.failureType}):`, error);
+        throw scrapeError;
+    }
+}
+
+// 목록 페이지 크롤링 제한 (요청 본문 또는 환경 변수로 조정)
+const CRAWL_MAX_PAGES = parseInt(process.env.CRAWL_MAX_PAGES) || 20;
+const CRAWL_MAX_ITEMS = parseInt(process.env.CRAWL_MAX_ITEMS) || 2000;
+// 요청 본문으로 지정할 수 있는 최대값
+const CRAWL_MAX_PAGES_LIMIT = parseInt(process.env.CRAWL_MAX_PAGES_LIMIT) || 100;
+const CRAWL_MAX_ITEMS_LIMIT = parseInt(process.env.CRAWL_MAX_ITEMS_LIMIT) || 10000;
+
+// 요청으로 받은 크롤링 제한값을 서버 최대값 이내로 조정
+function clampCrawlLimit(value, defaultValue, maxValue) {
+    const limit = parseInt(value);
+    return limit > 0 ? Math.min(limit, maxValue) : defaultValue;
+}
+
+// 목록 URL의 N번째 페이지 주소 생성 (Magento 형식 ?p=N)
+function buildListPageUrl(url, pageNumber) {
+    const pageUrl = new URL(url);
+    pageUrl.searchParams.set('p', String(pageNumber));
+    return pageUrl.toString();
+}
+
+// 현재 목록 페이지의 번호 (?p=N, 없으면 1)
+function getListPageNumber(url) {
+    try {
+        return parseInt(new URL(url).searchParams.get('p')) || 1;
+    } catch (error) {
+        return 1;
+    }
+}
+
+// 다음 페이지 주소 탐색: 다음 링크 → ?p=N
+function findNextListPageUrl($, currentUrl) {
+    const nextHref = $('link[rel="next"]').attr('href') ||
+                     $('.pages-item-next a').attr('href') ||
+                     $('a.action.next').attr('href') ||
+                     $('a[rel="next"]').attr('href');
+    
+    if (nextHref) {
+        const nextUrl = new URL(nextHref, currentUrl).href;
+        if (nextUrl !== currentUrl) {
+            return nextUrl;
+        }
+    }
+    
+    const pageNumbers = $('.pages .item').toArray()
+        .map(item => parseInt($(item).text().replace(/\D/g, '')))
+        .filter(number => !isNaN(number));
+    const lastPageNumber = pageNumbers.length > 0 ? Math.max(...pageNumbers) : 0;
+    const currentPageNumber = getListPageNumber(currentUrl);
+    
+    if (lastPageNumber > currentPageNumber) {
+        return buildListPageUrl(currentUrl, currentPageNumber + 1);
+    }
+    
+    return null;
+}
+
+// 더 보기 버튼 존재 여부 (정적 HTML로는 따라갈 수 없음)
+const LOAD_MORE_PATTERN = /load more|show more|더 보기/i;
+
+function hasLoadMoreButton($) {
+    return $('button, a').toArray().some(element => LOAD_MORE_PATTERN.test($(element).text().trim()));
+}
+
+// 브라우저에서 다음 페이지로 이동: 다음 링크 / ?p=N → 더 보기 버튼 → 무한 스크롤
+async function goToNextListPage(page, $, itemCount, itemSelector) {
+    const nextUrl = findNextListPageUrl($, page.url());
+    
+    if (nextUrl) {
+        await page.goto(nextUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+        return 'link';
+    }
+    
+    // 더 보기 버튼 / 무한 스크롤은 상품 개수가 늘어날 때까지 대기
+    const waitForMoreItems = () => page.waitForFunction(
+        (selector, count) => document.querySelectorAll(selector).length > count,
+        { timeout: 10000 },
+        itemSelector,
+        itemCount
+    );
+    
+    try {
+        if (hasLoadMoreButton($)) {
+            await page.evaluate((pattern) => {
+                const loadMoreRegex = new RegExp(pattern, 'i');
+                const loadMoreElement = Array.from(document.querySelectorAll('button, a'))
+                    .find(element => loadMoreRegex.test(element.textContent.trim()));
+                if (loadMoreElement) {
+                    loadMoreElement.click();
+                }
+            }, LOAD_MORE_PATTERN.source);
+            await waitForMoreItems();
+            return 'load-more';
+        }
+        
+        await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+        await waitForMoreItems();
+        return 'scroll';
+    } catch (error) {
+        return null;
+    }
+}
+
+// 목록 크롤링 상태 생성 (상품 URL 기준 중복 제거)
+function createListingCrawl(adapter, maxPages, maxItems) {
+    return {
+        adapter,
+        maxPages,
+        maxItems,
+        gamesByUrl: new Map(),
+        crawlStartedAt: Date.now(),
+        pagesCrawled: 0,
+        truncated: false,
+        emptyListing: false,  // 목록 영역은 있지만 상품이 0개인 페이지
+        traffic: createTrafficStats(),
+        lastSnapshot: null    // 실패 시 디버그 자료로 저장할 마지막 페이지
+    };
+}
+
+// 한 페이지 분량의 상품을 누적하고 다음 페이지로 계속할지 반환
+// hasMore: 다음 페이지(또는 더 보기)가 있는지 - 제한에 걸렸을 때 남은 상품이 있어야 truncated
+function collectListingPage(crawl, pageGames, hasMore = false) {
+    const { adapter, gamesByUrl } = crawl;
+    crawl.pagesCrawled++;
+    
+    let addedCount = 0;
+    for (const game of pageGames) {
+        if (gamesByUrl.has(game.url)) continue;
+        if (gamesByUrl.size >= crawl.maxItems) {
+            crawl.truncated = true;
+            break;
+        }
+        
+        gamesByUrl.set(game.url, {
+            ...game,
+            id: `game_${crawl.crawlStartedAt}_${gamesByUrl.size}`
+        });
+        addedCount++;
+    }
+    
+    console.log(`📄 ${adapter.name} ${crawl.pagesCrawled}페이지: ${pageGames.length}개 중 ${addedCount}개 신규 (누적 ${gamesByUrl.size}개)`);
+    
+    // 새 상품이 없으면 같은 페이지가 반복되는 것으로 보고 중단
+    if (addedCount === 0 && crawl.pagesCrawled > 1) return false;
+    
+    if (crawl.truncated) return false;
+    
+    if (gamesByUrl.size >= crawl.maxItems || crawl.pagesCrawled >= crawl.maxPages) {
+        crawl.truncated = hasMore;
+        return false;
+    }
+    
+    return true;
+}
+
+// 정적 HTML로 목록 순회 (첫 페이지에 상품이 없거나 더 보기 방식이면 null 반환)
+async function crawlListingStatic(url, crawl) {
+    const { adapter } = crawl;
+    let currentUrl = url;
+    
+    while (true) {
+        const { html, finalUrl, traffic } = await fetchStaticHtml(currentUrl);
+        addTrafficStats(crawl.traffic, traffic);
+        crawl.lastSnapshot = { html, finalUrl, screenshot: null, method: isFixtureReplay() ? 'fixture' : 'static' };
+        const $ = cheerio.load(html);
+        const pageGames = hasAnySelector($, adapter.selectors.listItem) ? adapter.scrapeListing($, finalUrl) : [];
+        const nextUrl = findNextListPageUrl($, finalUrl);
+        
+        if (crawl.pagesCrawled === 0) {
+            if (pageGames.length === 0 && diagnoseScrapedPage(html) === 'not_found') {
+                const scrapeError = createScrapeError('not_found', `${adapter.name} 목록 페이지가 존재하지 않습니다.`);
+                scrapeError.debugSnapshot = crawl.lastSnapshot;
+                throw scrapeError;
+            }
+            if (isEmptyListingPage($, adapter.selectors, true)) {
+                console.log(`📭 ${adapter.name} 상품이 없는 목록 페이지`);
+                crawl.emptyListing = true;
+                collectListingPage(crawl, []);
+                return crawl;
+            }
+            if (pageGames.length === 0 && !isFixtureReplay()) {
+                console.log(`⚠️ ${adapter.name} 정적 HTML에 상품 목록 없음, Puppeteer로 재시도`);
+                return null;
+            }
+            if (!nextUrl && hasLoadMoreButton($) && !isFixtureReplay()) {
+                console.log(`⚠️ ${adapter.name} 더 보기 방식 목록, Puppeteer로 재시도`);
+                return null;
+            }
+        }
+        
+        // 브라우저로 녹화한 목록은 단계별 픽스처로 이어서 재생
+        const stepKey = getListPageFixtureKey(url, crawl.pagesCrawled + 1);
+        const hasStepFixture = isFixtureReplay() && hasScrapeFixture(stepKey);
+        
+        if (!collectListingPage(crawl, pageGames, hasStepFixture || !!nextUrl)) break;
+        
+        if (hasStepFixture) {
+            currentUrl = stepKey;
+            continue;
+        }
+        if (!nextUrl) break;
+        
+        console.log(`➡️ ${adapter.name} 다음 페이지 이동 (static): ${nextUrl}`);
+        currentUrl = nextUrl;
+    }
+    
+    return crawl;
+}
+
+// Puppeteer로 목록 순회 (다음 링크, 더 보기, 무한 스크롤 지원)
+async function crawlListingBrowser(url, crawl, owner) {
+    const { adapter } = crawl;
+    const itemSelector = adapter.selectors.listItem.join(', ');
+    
+    // 여러 페이지를 순회하므로 페이지 수만큼 작업 시간 허용
+    return withPooledPage(async (page) => {
+        // 브라우저 크래시 후 재시도하면 처음부터 다시 수집
+        crawl.gamesByUrl.clear();
+        crawl.pagesCrawled = 0;
+        crawl.truncated = false;
+        crawl.traffic = createTrafficStats();
+        
+        console.log(`${adapter.name} 페이지 로딩: ${url} (최대 ${crawl.maxPages}페이지, ${crawl.maxItems}개)`);
+        const response = await page.goto(url, { 
+            waitUntil: 'networkidle2',
+            timeout: 30000 
+        });
+        
+        try {
+            await page.waitForSelector(itemSelector, { timeout: 10000 });
+        } catch (error) {
+            const html = await page.content();
+            if (isEmptyListingPage(cheerio.load(html), adapter.selectors)) {
+                console.log(`📭 ${adapter.name} 상품이 없는 목록 페이지`);
+                saveScrapeFixture(url, page.url(), html, 'browser');
+                crawl.emptyListing = true;
+                collectListingPage(crawl, []);
+                crawl.traffic = getPageTraffic(page);
+                return crawl;
+            }
+            
+            const failureType = diagnoseScrapedPage(html, response ? response.status() : null) || 'selector_missing';
+            const scrapeError = createScrapeError(failureType, `${adapter.name} 목록 페이지에서 상품을 찾을 수 없습니다.`);
+            scrapeError.debugSnapshot = await captureDebugSnapshot(page);
+            throw scrapeError;
+        }
+        
+        while (true) {
+            const html = await page.content();
+            // 요청 URL + 단계 번호로 저장 (더 보기/스크롤 단계가 같은 URL로 덮어쓰지 않도록)
+            saveScrapeFixture(getListPageFixtureKey(url, crawl.pagesCrawled), page.url(), html, 'browser');
+            crawl.lastSnapshot = { html, finalUrl: page.url(), screenshot: null, method: 'browser' };
+
+            const $ = cheerio.load(html);
+            const pageGames = adapter.scrapeListing($, page.url());
+            // 무한 스크롤은 미리 알 수 없으므로 다음 링크/더 보기 버튼만 남은 페이지로 판단
+            const hasMore = !!findNextListPageUrl($, page.url()) || hasLoadMoreButton($);
+
+            if (!collectListingPage(crawl, pageGames, hasMore)) break;
+            
+            const navigation = await goToNextListPage(page, $, pageGames.length, itemSelector);
+            if (!navigation) break;
+            
+            console.log(`➡️ ${adapter.name} 다음 페이지 이동 (${navigation}): ${page.url()}`);
+            
+            try {
+                await page.waitForSelector(itemSelector, { timeout: 10000 });
+            } catch (error) {
+                console.warn(`⚠️ ${adapter.name} 다음 페이지에서 상품을 찾을 수 없어 중단: ${page.url()}`);
+                break;
+            }
+        }
+        
+        crawl.traffic = getPageTraffic(page);
+        return crawl;
+    }, { owner, timeout: PAGE_TASK_TIMEOUT * crawl.maxPages });
+}
+
+// CDKeys/Loaded 게임 목록 크롤링 (페이지네이션 포함)
+async function fetchGamesFromList(url, options = {}) {
+    const adapter = getStoreAdapter(url);
+    const siteName = adapter.name;
+    const maxPages = parseInt(options.maxPages) || CRAWL_MAX_PAGES;
+    const maxItems = parseInt(options.maxItems) || CRAWL_MAX_ITEMS;
+    const cacheKey = `gamelist_${url}_${maxPages}_${maxItems}`;
+    const cached = options.fresh ? null : cache.get(cacheKey);
+    if (cached) {
+        console.log(`${siteName} 캐시 데이터 사용`);
+        return cached;
+    }
+
+    let crawl = null;
+    
+    try {
+        const startedAt = Date.now();
+        let scrapeMethod = isFixtureReplay() ? 'fixture' : 'static';
+
+        if (adapter.fetchListingApi && isStoreApiEnabled()) {
+            try {
+                console.log(`${siteName} 카탈로그 API 목록 조회: ${url} (최대 ${maxPages}페이지, ${maxItems}개)`);
+                crawl = await adapter.fetchListingApi(url, createListingCrawl(adapter, maxPages, maxItems));
+                if (crawl && crawl.gamesByUrl.size > 0) {
+                    scrapeMethod = 'api';
+                } else {
+                    console.log(`⚠️ ${siteName} API 목록이 비어 있음, 페이지 크롤링으로 재시도`);
+                    crawl = null;
+                }
+            } catch (error) {
+                console.log(`⚠️ ${siteName} API 목록 조회 실패 (${error.message}), 페이지 크롤링으로 재시도`);
+                crawl = null;
+            }
+        }
+        
+        if (!crawl && (STATIC_SCRAPE_ENABLED || isFixtureReplay())) {
+            try {
+                console.log(`${siteName} 정적 목록 로딩: ${url} (최대 ${maxPages}페이지, ${maxItems}개)`);
+                crawl = await crawlListingStatic(url, createListingCrawl(adapter, maxPages, maxItems));
+            } catch (error) {
+                if (isFixtureReplay() || classifyScrapeError(error) === 'not_found') {
+                    throw toScrapeError(error);
+                }
+                console.log(`⚠️ ${siteName} 정적 목록 로딩 실패 (${error.message}), Puppeteer로 재시도`);
+                crawl = null;
+            }
+        }
+        
+        if (!crawl) {
+            scrapeMethod = 'browser';
+            crawl = await crawlListingBrowser(url, createListingCrawl(adapter, maxPages, maxItems), options.owner);
+        }
+        
+        const { pagesCrawled, truncated, traffic: scrapeTraffic } = crawl;
+        const games = Array.from(crawl.gamesByUrl.values());
+        
+        // 상품 요소는 있는데 이름/링크/가격을 못 읽으면 셀렉터 변경으로 판단 (빈 목록 페이지는 정상)
+        if (games.length === 0 && !crawl.emptyListing) {
+            throw createScrapeError('selector_missing', `${siteName} 목록에서 상품 정보를 읽지 못했습니다.`);
+        }
+        
+        const unparsableCount = games.filter(game => !isParsablePrice(game.price)).length;
+        if (games.length > 0 && unparsableCount === games.length) {
+            throw createScrapeError('price_unparsable', `${siteName} 목록의 가격을 해석할 수 없습니다: "${games[0].price}"`);
+        }
+        if (unparsableCount > 0) {
+            console.warn(`⚠️ ${siteName} 목록에서 가격 해석 실패 ${unparsableCount}개`);
+        }
+        
+        const scrapeMs = Date.now() - startedAt;
+        recordScrapeTiming('listing', scrapeMethod, scrapeMs, scrapeTraffic);
+        recordScrapeOutcome(siteName, 'listing', url);
+
+        console.log(`\n=== ${siteName} 게임명 정리 시작 (PC, DLC 제거) ===`);
+        console.log(`⏰ 시간: ${new Date().toISOString()}`);
+        console.log(`👤 사용자: wogho`);
+        
+        const processedGames = games.map((game) => {
+            const cleanName = adapter.cleanName(game.originalName);
+            
+            return {
+                ...game,
+                name: cleanName,
+                ...parseGameEdition(game.originalName, cleanName),
+                site: siteName,
+                scrapeMethod
+            };
+        });
+        
+        recordActivationInfo(processedGames);
+        
+        const changedCount = processedGames.filter(game => game.name !== game.originalName).length;
+        console.log(`📊 총 ${pagesCrawled}페이지 (${scrapeMethod}, ${scrapeMs}ms, ${formatBytes(scrapeTraffic.bytes)}), ${processedGames.length}개 게임, ${changedCount}개 게임명 정리됨${truncated ? ' (제한 도달)' : ''}`);
+        
+        const result = {
+            games: processedGames,
+            pagesCrawled,
+            truncated,
+            scrapeMethod,
+            scrapeMs,
+            scrapeTraffic
+        };
+        
+        cache.set(cacheKey, result);
+        return result;
+        
+    } catch (error) {
+        const scrapeError = toScrapeError(error);
+        recordScrapeOutcome(siteName, 'listing', url, scrapeError.failureType, scrapeError.message);
+        saveFailureArtifacts({ kind: 'listing', siteName, url, error: scrapeError, snapshot: error.debugSnapshot || (crawl && crawl.lastSnapshot) });
+        console.error(`${siteName} 크롤링 오류 (${scrapeError.failureType}):`, error);
+        throw scrapeError;
+    }
+}
+
+// 전체 카탈로그 인덱스 설정 (사이트맵 + 카테고리 목록으로 Steam 키 상품 수집)
+const CATALOG_INDEX_FILE = process.env.CATALOG_INDEX_FILE || path.join(DATA_DIR, 'catalog-index.json');
+const CATALOG_MAX_PAGES = parseInt(process.env.CATALOG_MAX_PAGES) || 200;
+const CATALOG_MAX_ITEMS = parseInt(process.env.CATALOG_MAX_ITEMS) || 20000;
+const CATALOG_SITEMAP_MAX_PRODUCTS = parseInt(process.env.CATALOG_SITEMAP_MAX_PRODUCTS) || 200;
+const CATALOG_SITEMAP_MAX_FILES = parseInt(process.env.CATALOG_SITEMAP_MAX_FILES) || 50;
+const CATALOG_CONCURRENCY = parseInt(process.env.CATALOG_CONCURRENCY) || 2;
+const CATALOG_STALE_DAYS = parseInt(process.env.CATALOG_STALE_DAYS) || 7;
+const CATALOG_REFRESH_INTERVAL_HOURS = parseInt(process.env.CATALOG_REFRESH_INTERVAL_HOURS) || 0;
+
+// 인덱스 구조: { stores: { [storeId]: { lastRefreshAt, lastFullRefreshAt, products: { [url]: 상품 } } } }
+const catalogIndex = readJsonFile(CATALOG_INDEX_FILE, { stores: {} });
+
+// 인덱스 갱신 작업 상태 (한 번에 하나만 실행)
+const catalogRefresh = {
+    running: false,
+    startedAt: null,
+    finishedAt: null,
+    lastResult: null,
+    lastError: null
+};
+
+function getCatalogStore(storeId) {
+    if (!catalogIndex.stores[storeId]) {
+        catalogIndex.stores[storeId] = { lastRefreshAt: null, lastFullRefreshAt: null, products: {} };
+    }
+    return catalogIndex.stores[storeId];
+}
+
+// Steam 키 상품만 인덱스에 저장
+function isSteamKeyProduct(game) {
+    return game.platform === 'Steam' || /steam/i.test(`${game.url} ${game.originalName}`);
+}
+
+// 크롤링한 상품을 인덱스에 반영 (처음 본 시각 유지, 마지막 확인 시각 갱신)
+function upsertCatalogProduct(adapter, game, seenAt, sitemapLastmod = null) {
+    const store = getCatalogStore(adapter.id);
+    const existing = store.products[game.url];
+    
+    store.products[game.url] = {
+        originalName: game.originalName,
+        price: game.price,
+        url: game.url,
+        availability: game.availability,
+        releaseDate: game.releaseDate,
+        region: game.region,
+        platform: game.platform,
+        koreaActivatable: game.koreaActivatable,
+        activationNote: game.activationNote,
+        activationVerified: game.activationVerified !== false,
+        regularPrice: game.regularPrice,
+        salePrice: game.salePrice,
+        discountPercent: game.discountPercent,
+        saleEndsAt: game.saleEndsAt,
+        saleCountdown: game.saleCountdown,
+        sitemapLastmod: sitemapLastmod || (existing && existing.sitemapLastmod) || null,
+        firstSeenAt: existing ? existing.firstSeenAt : seenAt,
+        lastSeenAt: seenAt,
+        priceCheckedAt: seenAt,
+        priceChangedAt: existing && existing.price === game.price ? existing.priceChangedAt : seenAt
+    };
+    
+    return !existing;
+}
+
+// 사이트맵 URL 목록 (robots.txt의 Sitemap 항목 우선, 없으면 어댑터 기본값)
+async function discoverSitemapUrls(adapter) {
+    const origin = new URL(adapter.sitemapUrls[0]).origin;
+    
+    try {
+        const { html } = await fetchStaticHtml(`${origin}/robots.txt`);
+        const sitemapUrls = String(html).split('\n')
+            .map(line => line.match(/^\s*sitemap\s*:\s*(\S+)/i))
+            .filter(Boolean)
+            .map(match => match[1]);
+        
+        if (sitemapUrls.length > 0) return sitemapUrls;
+    } catch (error) {
+        console.log(`⚠️ ${adapter.name} robots.txt 조회 실패 (${error.message}), 기본 사이트맵 사용`);
+    }
+    
+    return adapter.sitemapUrls;
+}
+
+// 사이트맵(인덱스 포함)을 따라가며 상품 URL과 lastmod 수집
+async function collectSitemapProducts(adapter) {
+    const queue = await discoverSitemapUrls(adapter);
+    const visited = new Set();
+    const products = new Map();
+    
+    while (queue.length > 0 && visited.size < CATALOG_SITEMAP_MAX_FILES) {
+        const sitemapUrl = queue.shift();
+        if (visited.has(sitemapUrl)) continue;
+        visited.add(sitemapUrl);
+        
+        try {
+            const { html } = await fetchStaticHtml(sitemapUrl);
+            const $ = cheerio.load(html, { xmlMode: true });
+            
+            $('sitemap > loc').each((index, element) => {
+                queue.push($(element).text().trim());
+            });
+            
+            $('url').each((index, element) => {
+                const loc = $(element).find('loc').first().text().trim();
+                if (!loc) return;
+                
+                let pathname = '';
+                try {
+                    pathname = new URL(loc).pathname;
+                } catch (error) {
+                    return;
+                }
+                
+                if (adapter.sitemapProductPattern.test(pathname)) {
+                    products.set(loc, parseSaleEndValue($(element).find('lastmod').first().text().trim()));
+                }
+            });
+        } catch (error) {
+            console.error(`${adapter.name} 사이트맵 조회 오류 (${sitemapUrl}):`, error.message);
+        }
+    }
+    
+    console.log(`🗺️ ${adapter.name} 사이트맵 ${visited.size}개에서 상품 URL ${products.size}개 발견`);
+    return products;
+}
+
+// 스토어 하나의 인덱스 갱신 (증분: 새 상품/사이트맵 변경 상품만 상세 조회)
+async function refreshCatalogStore(adapter, { full = false } = {}) {
+    const store = getCatalogStore(adapter.id);
+    const seenAt = new Date().toISOString();
+    const summary = { store: adapter.id, listed: 0, added: 0, sitemapFetched: 0, sitemapFailed: 0, removed: 0, errors: [] };
+    
+    for (const sourceUrl of adapter.catalogSources || []) {
+        try {
+            const { games } = await fetchGamesFromList(sourceUrl, {
+                maxPages: CATALOG_MAX_PAGES,
+                maxItems: CATALOG_MAX_ITEMS,
+                owner: `catalog_${adapter.id}`,
+                fresh: true
+            });
+            
+            for (const game of games.filter(isSteamKeyProduct)) {
+                summary.listed++;
+                if (upsertCatalogProduct(adapter, game, seenAt)) summary.added++;
+            }
+        } catch (error) {
+            console.error(`${adapter.name} 카탈로그 목록 오류 (${sourceUrl}):`, error.message);
+            summary.errors.push({ url: sourceUrl, failureType: error.failureType, message: error.message });
+        }
+    }
+    
+    if (adapter.sitemapUrls && adapter.sitemapProductPattern) {
+        const sitemapProducts = await collectSitemapProducts(adapter);
+        
+        // 사이트맵에 있으면 판매 중으로 보고 확인 시각 갱신 (상세 조회 개수 제한에 걸린 상품도 제거되지 않도록)
+        // 상세 조회는 새 상품과 lastmod가 바뀐 상품만 (목록에서 이미 확인한 상품 제외)
+        const pendingUrls = [];
+        for (const [url, lastmod] of sitemapProducts) {
+            const entry = store.products[url];
+            if (!entry) {
+                pendingUrls.push(url);
+                continue;
+            }
+            
+            const listed = entry.lastSeenAt === seenAt;
+            entry.lastSeenAt = seenAt;
+            if (!listed && (full || (lastmod && lastmod !== entry.sitemapLastmod))) {
+                pendingUrls.push(url);
+            }
+        }
+        
+        const detailUrls = pendingUrls.slice(0, CATALOG_SITEMAP_MAX_PRODUCTS);
+        const deferredLabel = pendingUrls.length > detailUrls.length ? ` (${pendingUrls.length - detailUrls.length}개는 다음 갱신에서 조회)` : '';
+        console.log(`🗺️ ${adapter.name} 사이트맵 상품 ${detailUrls.length}개 상세 조회${deferredLabel}`);
+        
+        await mapWithConcurrency(detailUrls, CATALOG_CONCURRENCY, async (url) => {
+            try {
+                const game = await fetchGameSinglePrice(url, { owner: `catalog_${adapter.id}` });
+                summary.sitemapFetched++;
+                if (isSteamKeyProduct(game) && upsertCatalogProduct(adapter, game, seenAt, sitemapProducts.get(url))) {
+                    summary.added++;
+                }
+            } catch (error) {
+                summary.sitemapFailed++;
+            }
+        });
+    }
+    
+    // 오랫동안 확인되지 않은 상품은 판매 종료로 보고 제거
+    const staleBefore = Date.now() - CATALOG_STALE_DAYS * 24 * 60 * 60 * 1000;
+    for (const [url, entry] of Object.entries(store.products)) {
+        if (Date.parse(entry.lastSeenAt) < staleBefore) {
+            delete store.products[url];
+            summary.removed++;
+        }
+    }
+    
+    store.lastRefreshAt = seenAt;
+    if (full) store.lastFullRefreshAt = seenAt;
+    summary.total = Object.keys(store.products).length;
+    
+    writeJsonFile(CATALOG_INDEX_FILE, catalogIndex);
+    console.log(`📚 ${adapter.name} 카탈로그 갱신 완료: 총 ${summary.total}개 (신규 ${summary.added}, 제거 ${summary.removed})`);
+    return summary;
+}
+
+// 카탈로그 인덱스 갱신 (storeIds 생략 시 인덱스 지원 스토어 전체)
+async function refreshCatalogIndex({ storeIds = null, full = false } = {}) {
+    if (catalogRefresh.running) {
+        const error = new Error('카탈로그 인덱스 갱신이 이미 진행 중입니다.');
+        error.statusCode = 409;
+        throw error;
+    }
+    
+    const adapters = getCatalogAdapters().filter(adapter => !storeIds || storeIds.includes(adapter.id));
+    if (adapters.length === 0) {
+        const error = new Error(`인덱스를 지원하는 스토어가 없습니다: ${(storeIds || []).join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+    }
+    
+    catalogRefresh.running = true;
+    catalogRefresh.startedAt = new Date().toISOString();
+    catalogRefresh.lastError = null;
+    
+    try {
+        const results = [];
+        for (const adapter of adapters) {
+            results.push(await refreshCatalogStore(adapter, { full }));
+        }
+        catalogRefresh.lastResult = results;
+        return results;
+    } catch (error) {
+        catalogRefresh.lastError = error.message;
+        throw error;
+    } finally {
+        catalogRefresh.running = false;
+        catalogRefresh.finishedAt = new Date().toISOString();
+    }
+}
+
+function getCatalogAdapters() {
+    return storeAdapters.filter(adapter => (adapter.catalogSources && adapter.catalogSources.length > 0) || adapter.sitemapUrls);
+}
+
+// 인덱스 검색 (store, query, 가격 범위, 구매 가능 여부, 개수 제한)
+function searchCatalogIndex(filter = {}) {
+    const { store: storeId, query, minPrice, maxPrice, availableOnly = true, seenWithinDays, limit } = filter;
+    const queryText = (query || '').toLowerCase().trim();
+    const seenAfter = seenWithinDays ? Date.now() - parseFloat(seenWithinDays) * 24 * 60 * 60 * 1000 : null;
+    const results = [];
+    
+    for (const adapter of storeAdapters) {
+        if (storeId && adapter.id !== storeId) continue;
+        const store = catalogIndex.stores[adapter.id];
+        if (!store) continue;
+        
+        for (const entry of Object.values(store.products)) {
+            if (availableOnly && isUnavailable(entry)) continue;
+            if (queryText && !entry.originalName.toLowerCase().includes(queryText)) continue;
+            if (seenAfter && Date.parse(entry.lastSeenAt) < seenAfter) continue;
+            
+            const priceValue = parsePrice(entry.price);
+            if (minPrice !== undefined && minPrice !== null && minPrice !== '' && priceValue < parseFloat(minPrice)) continue;
+            if (maxPrice !== undefined && maxPrice !== null && maxPrice !== '' && priceValue > parseFloat(maxPrice)) continue;
+            
+            const cleanName = adapter.cleanName(entry.originalName);
+            results.push({
+                ...entry,
+                id: `index_${adapter.id}_${results.length}`,
+                name: cleanName,
+                ...parseGameEdition(entry.originalName, cleanName),
+                site: adapter.name,
+                scrapeMethod: 'index'
+            });
+        }
+    }
+    
+    results.sort((a, b) => a.originalName.localeCompare(b.originalName));
+    return limit ? results.slice(0, parseInt(limit)) : results;
+}
+
+// 스토어별 인덱스 요약
+function getCatalogIndexSummary() {
+    return getCatalogAdapters().map(adapter => {
+        const store = catalogIndex.stores[adapter.id] || { products: {} };
+        const products = Object.values(store.products);
+        return {
+            store: adapter.id,
+            name: adapter.name,
+            products: products.length,
+            available: products.filter(entry => !isUnavailable(entry)).length,
+            lastRefreshAt: store.lastRefreshAt || null,
+            lastFullRefreshAt: store.lastFullRefreshAt || null
+        };
+    });
+}
+
+// 0~1 점수 기준 환경변수 (0도 유효한 값이므로 숫자가 아닐 때만 기본값)
+function readScoreEnv(name, defaultValue) {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) ? defaultValue : Math.min(1, Math.max(0, value));
+}
+
+// Steam 후보 매칭 기준 (점수 0~1, 기준 미만이면 다음 검색 단계로)
+const STEAM_MATCH_THRESHOLD = readScoreEnv('STEAM_MATCH_THRESHOLD', 0.6);
+// 매칭 신뢰도 기준 (high 이상은 그대로, 잘라낸 검색어로 찾은 결과는 high 미만이면 low)
+const MATCH_CONFIDENCE_HIGH = readScoreEnv('MATCH_CONFIDENCE_HIGH', 0.9);
+const MATCH_CONFIDENCE_MEDIUM = readScoreEnv('MATCH_CONFIDENCE_MEDIUM', 0.75);
+const STEAM_MATCH_RUNNER_UPS = parseInt(process.env.STEAM_MATCH_RUNNER_UPS) || 3;
+const STEAM_MATCH_WEIGHTS = { tokens: 0.4, edit: 0.3, numerals: 0.15, edition: 0.15 };
+
+// storesearch 결과 (검색어별 캐시, 후보 선택은 호출마다 대상 게임명 기준으로 다시 계산)
+// → { items, cacheHit } (fresh면 캐시를 읽지 않고 다시 요청)
+async function fetchSteamSearchItems(term, stageLabel = '', { fresh = false } = {}) {
+    const cacheKey = `steam_search_${term}`;
+    const cached = fresh ? undefined : cache.get(cacheKey);
+    if (cached) {
+        console.log(`✅ Steam 게임 검색 캐시 사용${stageLabel ? ` (${stageLabel})` : ''}: "${term}"`);
+        return { items: cached, cacheHit: true };
+    }
+    
+    const searchUrl = `${STEAM_STORE_API_BASE}/storesearch/?term=${encodeURIComponent(term)}&l=korean&cc=KR`;
+    
+    console.log(`🔍 Steam API 게임 검색${stageLabel ? ` (${stageLabel})` : ''}: "${term}"`);
+    
+    const response = await outboundRequest({
+        url: searchUrl,
+        timeout: 10000,
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+        }
+    });
+    
+    const items = (response.data && response.data.items) || [];
+    cache.set(cacheKey, items);
+    return { items, cacheHit: false };
+}
+
+// 매칭 신뢰도 (후보 점수 + 검색 단계) → high / medium / low
+function getMatchConfidence(score, truncatedSearch = false) {
+    if (score >= MATCH_CONFIDENCE_HIGH) return 'high';
+    if (score >= MATCH_CONFIDENCE_MEDIUM && !truncatedSearch) return 'medium';
+    return 'low';
+}
+
+// 편집 거리 (문자 단위 Levenshtein)
+function levenshteinDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    
+    return previous[b.length];
+}
+
+// 정규화 키 사이 유사도 항목 (토큰 겹침, 편집 거리, 숫자 일치)
+function compareTitleKeys(targetKey, candidateKey) {
+    const targetTokens = new Set(targetKey.split(' ').filter(Boolean));
+    const candidateTokens = new Set(candidateKey.split(' ').filter(Boolean));
+    const sharedTokens = [...targetTokens].filter(token => candidateTokens.has(token)).length;
+    const tokens = targetTokens.size + candidateTokens.size > 0
+        ? (2 * sharedTokens) / (targetTokens.size + candidateTokens.size)
+        : 0;
+    
+    const maxLength = Math.max(targetKey.length, candidateKey.length);
+    const edit = maxLength > 0 ? 1 - levenshteinDistance(targetKey, candidateKey) / maxLength : 0;
+    
+    // 숫자(시리즈 번호)가 다르면 다른 게임 ("Dead Island 2" vs "Dead Island")
+    const targetNumbers = targetKey.match(/\b\d+\b/g) || [];
+    const candidateNumbers = candidateKey.match(/\b\d+\b/g) || [];
+    let numerals = 1;
+    if (targetNumbers.join(' ') !== candidateNumbers.join(' ')) {
+        numerals = targetNumbers.length === 0 ? 0.5 : 0;
+    }
+    
+    return { tokens, edit, numerals };
+}
+
+// storesearch 후보 점수 계산 후 높은 순 정렬 (에디션 상품은 같은 에디션 후보만)
+function rankSteamCandidates(items, targetTitles, edition = null) {
+    const targetKeys = [...new Set(targetTitles.filter(Boolean).map(normalizeTitleKey))];
+    const round = value => Math.round(value * 1000) / 1000;
+    
+    return items
+        .filter(item => !edition || matchesGameEdition(item.name, edition))
+        .map(item => {
+            const candidateKey = normalizeTitleKey(item.name);
+            const editionScore = matchesGameEdition(item.name, edition) ? 1 : 0;
+            
+            // 대상 이름이 여러 개면 가장 가까운 쪽 기준
+            const best = targetKeys
+                .map(targetKey => {
+                    const parts = compareTitleKeys(targetKey, candidateKey);
+                    const score = parts.tokens * STEAM_MATCH_WEIGHTS.tokens
+                        + parts.edit * STEAM_MATCH_WEIGHTS.edit
+                        + parts.numerals * STEAM_MATCH_WEIGHTS.numerals
+                        + editionScore * STEAM_MATCH_WEIGHTS.edition;
+                    return { ...parts, score };
+                })
+                .reduce((top, current) => (current.score > top.score ? current : top));
+            
+            return {
+                appid: item.id,
+                name: item.name,
+                type: item.type,
+                score: round(best.score),
+                breakdown: {
+                    tokens: round(best.tokens),
+                    edit: round(best.edit),
+                    numerals: best.numerals,
+                    edition: editionScore
+                }
+            };
+        })
+        // 점수가 같으면 게임/DLC 항목 우선
+        .sort((a, b) => b.score - a.score
+            || Number(b.type === 'game' || b.type === 'dlc') - Number(a.type === 'game' || a.type === 'dlc'));
+}
+
+// 로컬 Steam 앱 인덱스 (Steam 앱 목록 덤프를 저장해 storesearch 호출 전에 먼저 검색)
+const STEAM_APP_INDEX_ENABLED = process.env.STEAM_APP_INDEX !== 'false';
+const STEAM_APP_INDEX_FILE = process.env.STEAM_APP_INDEX_FILE || path.join(DATA_DIR, 'steam-app-index.json');
+const STEAM_APP_LIST_URL = process.env.STEAM_APP_LIST_URL || 'https://api.steampowered.com/ISteamApps/GetAppList/v2/';
+const STEAM_API_KEY = process.env.STEAM_API_KEY || '';
+// 로컬 인덱스 결과를 그대로 쓰는 점수 기준 (미만이면 storesearch로 넘어감)
+const STEAM_APP_INDEX_THRESHOLD = readScoreEnv('STEAM_APP_INDEX_THRESHOLD', 0.85);
+const STEAM_APP_INDEX_CANDIDATES = parseInt(process.env.STEAM_APP_INDEX_CANDIDATES) || 50;
+const STEAM_APP_INDEX_REFRESH_INTERVAL_HOURS = parseInt(process.env.STEAM_APP_INDEX_REFRESH_INTERVAL_HOURS) || 0;
+// 앱 목록 응답 최대 크기 (GetAppList 전체 목록은 수십 MB)
+const STEAM_APP_LIST_MAX_MB = parseInt(process.env.STEAM_APP_LIST_MAX_MB) || 100;
+
+// 메모리 구조: apps[{ appid, name, type, key }], tokens: 토큰 → apps 위치 목록
+const steamAppIndex = {
+    loaded: false,
+    apps: [],
+    tokens: new Map(),
+    importedAt: null,
+    source: null
+};
+
+// 갱신 작업 상태 (한 번에 하나만 실행)
+const steamAppIndexRefresh = {
+    running: false,
+    startedAt: null,
+    finishedAt: null,
+    lastResult: null,
+    lastError: null
+};
+
+// 파일 저장 형식: { importedAt, source, apps: [[appid, name, type]] }
+function buildSteamAppIndex({ apps, importedAt, source }) {
+    const tokens = new Map();
+    const indexedApps = apps.map(([appid, name, type], position) => {
+        const key = normalizeTitleKey(name);
+        new Set(key.split(' ').filter(Boolean)).forEach(token => {
+            if (!tokens.has(token)) tokens.set(token, []);
+            tokens.get(token).push(position);
+        });
+        return { appid, name, type, key };
+    });
+    
+    Object.assign(steamAppIndex, { loaded: true, apps: indexedApps, tokens, importedAt, source });
+}
+
+// 저장된 인덱스는 처음 사용할 때 한 번만 읽음 (수십 MB라 모듈 로드 시점에는 읽지 않음, 서버 시작 후 미리 로드)
+function loadSteamAppIndex() {
+    if (steamAppIndex.loaded) return;
+    steamAppIndex.loaded = true;
+    
+    const saved = readJsonFile(STEAM_APP_INDEX_FILE, null);
+    if (saved && Array.isArray(saved.apps)) {
+        buildSteamAppIndex(saved);
+        console.log(`🗂️ Steam 앱 인덱스 로드: ${steamAppIndex.apps.length}개 (${steamAppIndex.importedAt})`);
+    }
+}
+
+// Steam 앱 목록 JSON (GetAppList v2, IStoreService/GetAppList, 배열) → [[appid, name, type]]
+// GetAppList v2에는 종류가 없어 type은 null, 종류가 있으면 게임/DLC만 남김 (사운드트랙, 도구, 데모 등 제외)
+function parseSteamAppList(data, defaultType = null) {
+    const apps = (data && data.applist && data.applist.apps)
+        || (data && data.response && data.response.apps)
+        || (data && data.apps)
+        || (Array.isArray(data) ? data : null);
+    
+    if (!Array.isArray(apps)) {
+        throw new Error('Steam 앱 목록 형식이 아닙니다. (applist.apps, response.apps 또는 배열)');
+    }
+    
+    return apps
+        .filter(app => app && app.appid && typeof app.name === 'string' && app.name.trim())
+        .map(app => [Number(app.appid), app.name.trim(), app.type ? String(app.type).toLowerCase() : defaultType])
+        .filter(([, , type]) => !type || type === 'game' || type === 'dlc');
+}
 
-    try {
-        const browser = await initBrowser();
-        const page = await browser.newPage();
-        
-        await page.setUserAgent('Mozilla/5.0 (X11; Linux aarch64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-        
-        console.log(`${siteName} 단일 페이지 로딩: ${url}`);
-        await page.goto(url, { 
-            waitUntil: 'networkidle2',
-            timeout: 30000 
-        });
-        
-        await page.waitForSelector('.final-price', { timeout: 10000 });
-        
-        const gameData = await page.evaluate(() => {
-            // 게임 제목 추출
-            const titleElement = document.querySelector('h1.page-title') || 
-                                document.querySelector('.product-title') ||
-                                document.querySelector('h1');
-            const title = titleElement ? titleElement.textContent.trim() : '';
-            
-            // 가격 추출
-            const priceElement = document.querySelector('.final-price .price span.price');
-            const price = priceElement ? priceElement.textContent.trim() : '';
-            
-            return { 
-                originalName: title,
-                price: price,
-                url: window.location.href
-            };
+// IStoreService/GetAppList (API 키 필요, 게임/DLC 구분 가능) 페이지 순회
+async function fetchStoreServiceAppList(type) {
+    const apps = [];
+    let lastAppId = 0;
+    
+    while (true) {
+        const response = await outboundRequest({
+            url: 'https://api.steampowered.com/IStoreService/GetAppList/v1/',
+            params: {
+                key: STEAM_API_KEY,
+                include_games: type === 'game',
+                include_dlc: type === 'dlc',
+                max_results: 50000,
+                last_appid: lastAppId
+            },
+            timeout: 60000,
+            maxContentLength: STEAM_APP_LIST_MAX_MB * 1024 * 1024
         });
         
-        await page.close();
-        
-        if (!gameData.originalName || !gameData.price) {
-            throw new Error('게임 제목 또는 가격을 찾을 수 없습니다.');
-        }
-        
-        console.log(`${siteName} 단일 페이지 크롤링 완료: ${gameData.originalName} - ${gameData.price}`);
-        
-        const cleanName = cleanGameName(gameData.originalName);
-        const result = {
-            ...gameData,
-            name: cleanName,
-            id: `single_${Date.now()}`,
-            site: siteName
-        };
+        const page = response.data && response.data.response;
+        apps.push(...parseSteamAppList({ apps: (page && page.apps) || [] }, type));
         
-        cache.set(cacheKey, result);
-        return result;
-        
-    } catch (error) {
-        console.error(`${siteName} 단일 페이지 크롤링 오류:`, error);
-        throw error;
+        if (!page || !page.have_more_results) break;
+        lastAppId = page.last_appid;
     }
+    
+    return apps;
 }
 
-// CDKeys/Loaded 게임 목록 크롤링
-async function fetchGamesFromList(url) {
-    const siteName = url.includes('loaded.com') ? 'Loaded' : 'CDKeys';
-    const cacheKey = `gamelist_${url}`;
-    const cached = cache.get(cacheKey);
-    if (cached) {
-        console.log(`${siteName} 캐시 데이터 사용`);
-        return cached;
+// 인덱스 갱신: file(DATA_DIR 안의 덤프 파일) → API 키가 있으면 IStoreService, 없으면 STEAM_APP_LIST_URL
+async function refreshSteamAppIndex({ file = null } = {}) {
+    if (steamAppIndexRefresh.running) {
+        const error = new Error('Steam 앱 인덱스 갱신이 이미 진행 중입니다.');
+        error.statusCode = 409;
+        throw error;
     }
-
+    
+    steamAppIndexRefresh.running = true;
+    steamAppIndexRefresh.startedAt = new Date().toISOString();
+    steamAppIndexRefresh.lastError = null;
+    
     try {
-        const browser = await initBrowser();
-        const page = await browser.newPage();
-        
-        await page.setUserAgent('Mozilla/5.0 (X11; Linux aarch64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-        
-        console.log(`${siteName} 페이지 로딩: ${url}`);
-        await page.goto(url, { 
-            waitUntil: 'networkidle2',
-            timeout: 30000 
-        });
-        
-        await page.waitForSelector('.product-item', { timeout: 10000 });
+        let apps;
+        let source;
         
-        const games = await page.evaluate(() => {
-            const gameList = [];
-            const items = document.querySelectorAll('.product-item');
-            
-            items.forEach((item, index) => {
-                const linkElement = item.querySelector('.product-item-link');
-                const priceElement = item.querySelector('.price');
-                
-                if (linkElement && priceElement) {
-                    const originalName = linkElement.textContent.trim();
-                    const price = priceElement.textContent.trim();
-                    const url = linkElement.href;
-                    
-                    gameList.push({ 
-                        originalName: originalName,
-                        price, 
-                        url,
-                        id: `game_${Date.now()}_${index}`
-                    });
-                }
+        if (file) {
+            const filePath = path.join(DATA_DIR, path.basename(file));
+            if (!fs.existsSync(filePath)) {
+                const error = new Error(`Steam 앱 목록 파일을 찾을 수 없습니다: ${path.basename(file)}`);
+                error.statusCode = 404;
+                throw error;
+            }
+            apps = parseSteamAppList(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+            source = `file:${path.basename(file)}`;
+        } else if (STEAM_API_KEY) {
+            apps = [...await fetchStoreServiceAppList('game'), ...await fetchStoreServiceAppList('dlc')];
+            source = 'IStoreService/GetAppList';
+        } else {
+            const response = await outboundRequest({
+                url: STEAM_APP_LIST_URL,
+                timeout: 120000,
+                maxContentLength: STEAM_APP_LIST_MAX_MB * 1024 * 1024
             });
-            
-            return gameList;
-        });
-        
-        await page.close();
-        
-        console.log(`\n=== ${siteName} 게임명 정리 시작 (PC, DLC 제거) ===`);
-        console.log(`⏰ 시간: ${new Date().toISOString()}`);
-        console.log(`👤 사용자: wogho`);
-        
-        const processedGames = games.map((game) => {
-            const cleanName = cleanGameName(game.originalName);
-            
-            return {
-                ...game,
-                name: cleanName,
-                site: siteName
-            };
-        });
+            apps = parseSteamAppList(response.data);
+            source = STEAM_APP_LIST_URL;
+        }
         
-        const changedCount = processedGames.filter(game => game.name !== game.originalName).length;
-        console.log(`📊 총 ${processedGames.length}개 게임, ${changedCount}개 게임명 정리됨`);
+        // 같은 App ID가 여러 번 나오면 마지막 항목 사용
+        const uniqueApps = [...new Map(apps.map(app => [app[0], app])).values()];
+        const saved = { importedAt: new Date().toISOString(), source, apps: uniqueApps };
+        writeJsonFile(STEAM_APP_INDEX_FILE, saved);
+        buildSteamAppIndex(saved);
         
-        cache.set(cacheKey, processedGames);
-        return processedGames;
+        // 이전 매칭 결과가 남지 않도록 이름 기준 가격 캐시 비움
+        cache.del(cache.keys().filter(key => key.startsWith('steam_price_') && !key.startsWith('steam_price_appid_')));
         
+        console.log(`🗂️ Steam 앱 인덱스 갱신 완료: ${uniqueApps.length}개 (${source})`);
+        steamAppIndexRefresh.lastResult = { apps: uniqueApps.length, source };
+        return steamAppIndexRefresh.lastResult;
     } catch (error) {
-        console.error(`${siteName} 크롤링 오류:`, error);
+        steamAppIndexRefresh.lastError = error.message;
         throw error;
+    } finally {
+        steamAppIndexRefresh.running = false;
+        steamAppIndexRefresh.finishedAt = new Date().toISOString();
     }
 }
 
+// 로컬 인덱스 후보 검색: 대상 이름과 토큰이 많이 겹치는 앱을 모아 storesearch와 같은 방식으로 점수 계산
+function searchSteamAppIndex(targetTitles, edition = null, limit = STEAM_APP_INDEX_CANDIDATES) {
+    loadSteamAppIndex();
+    if (steamAppIndex.apps.length === 0) {
+        return [];
+    }
+    
+    const targetTokens = new Set(targetTitles
+        .filter(Boolean)
+        .flatMap(title => normalizeTitleKey(title).split(' '))
+        .filter(Boolean));
+    
+    const sharedCounts = new Map();
+    targetTokens.forEach(token => {
+        (steamAppIndex.tokens.get(token) || []).forEach(position => {
+            sharedCounts.set(position, (sharedCounts.get(position) || 0) + 1);
+        });
+    });
+    
+    // 겹치는 토큰이 많고 이름이 짧은 앱 우선 (사운드트랙 등 부가 상품보다 본편)
+    const positions = [...sharedCounts.entries()]
+        .sort((a, b) => b[1] - a[1] || steamAppIndex.apps[a[0]].key.length - steamAppIndex.apps[b[0]].key.length)
+        .slice(0, limit)
+        .map(([position]) => steamAppIndex.apps[position]);
+    
+    return rankSteamCandidates(
+        positions.map(app => ({ id: app.appid, name: app.name, type: app.type })),
+        targetTitles,
+        edition
+    );
+}
+
+function getSteamAppIndexSummary() {
+    loadSteamAppIndex();
+    return {
+        enabled: STEAM_APP_INDEX_ENABLED,
+        file: STEAM_APP_INDEX_FILE,
+        apps: steamAppIndex.apps.length,
+        importedAt: steamAppIndex.importedAt,
+        source: steamAppIndex.source,
+        threshold: STEAM_APP_INDEX_THRESHOLD,
+        refresh: steamAppIndexRefresh
+    };
+}
+
+// Steam 검색 단계 이름 (검색어 중복 제거로 단계 수가 달라지므로 번호 대신 이름으로 표시)
+const STEAM_SEARCH_STAGES = {
+    localIndex: '로컬 Steam 앱 인덱스',
+    original: '원본 게임명',
+    normalized: '정규화 (기호, 퍼블리셔, 숫자 표기)',
+    edition: '에디션 (기본 제목 + 에디션, 기본 제목)',
+    clean: '기본 정리',
+    platform: '플랫폼 제거',
+    dlc: 'DLC 제거',
+    colon: '콜론 이후 제거',
+    dash: '대시 이후 제거',
+    lastWord: '마지막 단어 제거',
+    lastTwoWords: '마지막 2단어 제거'
+};
+
 // Steam API 다단계 검색 로직
-async function searchSteamGame(gameName) {
+// options: { baseTitle, edition, editionLabel } - 에디션 상품은 같은 에디션 후보만 인정 (기본판 가격으로 비교 방지)
+//          trace: 배열을 넘기면 단계별 검색어, 캐시 사용 여부, 원본 후보, 점수, 선택 결과를 기록 (fresh: 캐시 무시)
+async function searchSteamGame(gameName, options = {}) {
+    const trace = Array.isArray(options.trace) ? options.trace : null;
     const originalGameName = gameName;
+    const edition = options.edition && options.edition !== 'standard' ? options.edition : null;
+    const editionAttempts = edition && options.baseTitle
+        ? [`${options.baseTitle} ${options.editionLabel || ''}`.trim(), options.baseTitle]
+        : [];
     
-    const searchAttempts = [
-        gameName,                                           // 1단계: 입력된 게임명 그대로
-        cleanGameName(gameName),                           // 2단계: 기본 정리
-        gameName.replace(/\s+(PC|Mac|Linux).*$/i, ''),     // 3단계: 플랫폼 제거
-        gameName.replace(/\s+(DLC|Expansion).*$/i, ''),    // 4단계: DLC 제거
-        gameName.replace(/\s*:\s*.*$/i, ''),               // 5단계: 콜론 이후 제거
-        gameName.replace(/\s*-\s*.*$/i, ''),               // 6단계: 대시 이후 제거
-        gameName.split(' ').slice(0, -1).join(' '),       // 7단계: 마지막 단어 제거
-        gameName.split(' ').slice(0, -2).join(' '),       // 8단계: 마지막 2단어 제거
+    // 원본 이후 단계는 상표 기호/유니코드 문장부호를 정리한 이름 기준
+    const searchName = normalizeSearchTerm(gameName);
+    
+    const fullNameAttempts = [
+        { stage: 'original', term: gameName },
+        ...buildNormalizedSearchTerms(gameName).map(term => ({ stage: 'normalized', term })),
+        ...editionAttempts.map(term => ({ stage: 'edition', term })),
+        { stage: 'clean', term: cleanGameName(searchName) },
+        { stage: 'platform', term: searchName.replace(/\s+(PC|Mac|Linux).*$/i, '') },
+        { stage: 'dlc', term: searchName.replace(/\s+(DLC|Expansion).*$/i, '') }
+    ].map(attempt => ({ ...attempt, term: attempt.term.trim() }));
+    const fullNameTerms = fullNameAttempts.map(attempt => attempt.term);
+    
+    // 제목 일부를 잘라낸 검색어 (이 단계에서 찾은 결과는 신뢰도를 낮춤)
+    const truncatedAttempts = [
+        { stage: 'colon', term: searchName.replace(/\s*:\s*.*$/i, '') },
+        { stage: 'dash', term: searchName.replace(/\s*-\s*.*$/i, '') },
+        { stage: 'lastWord', term: searchName.split(' ').slice(0, -1).join(' ') },
+        { stage: 'lastTwoWords', term: searchName.split(' ').slice(0, -2).join(' ') }
     ];
     
-    const uniqueAttempts = [...new Set(searchAttempts)]
-        .filter(name => name && name.trim().length > 2);
+    // 같은 검색어는 처음 나온 단계에서 한 번만 검색
+    const uniqueAttempts = [...fullNameAttempts, ...truncatedAttempts]
+        .filter((attempt, index, attempts) => attempts.findIndex(other => other.term === attempt.term) === index)
+        .filter(attempt => attempt.term && attempt.term.trim().length > 2);
     
-    console.log(`🔍 "${originalGameName}" 다단계 검색 시작 (${uniqueAttempts.length}개 패턴)`);
+    console.log(`🔍 "${originalGameName}" 다단계 검색 시작 (${uniqueAttempts.length}개 패턴${edition ? `, 에디션: ${edition}` : ''})`);
     
-    for (let i = 0; i < uniqueAttempts.length; i++) {
-        const attemptName = uniqueAttempts[i].trim();
-        const cacheKey = `steam_search_${attemptName}`;
+    // 후보 점수는 정리된 게임명 기준 (에디션 상품은 "기본 제목 + 에디션"도 비교)
+    const targetTitles = [cleanGameName(searchName)];
+    if (edition && options.baseTitle) {
+        targetTitles.push(`${options.baseTitle} ${options.editionLabel || ''}`.trim());
+    }
+    
+    // 로컬 Steam 앱 인덱스 먼저 (확실한 후보가 있으면 storesearch 호출 없이 사용)
+    if (STEAM_APP_INDEX_ENABLED) loadSteamAppIndex();
+    if (STEAM_APP_INDEX_ENABLED && steamAppIndex.apps.length > 0 && !options.skipLocalIndex) {
+        const ranked = searchSteamAppIndex(targetTitles, edition);
+        const [bestMatch, ...runnerUps] = ranked;
+        const localSelected = bestMatch && bestMatch.score >= STEAM_APP_INDEX_THRESHOLD;
+        
+        if (trace) {
+            trace.push({
+                stage: 0,
+                stageName: STEAM_SEARCH_STAGES.localIndex,
+                term: targetTitles.join(' | '),
+                source: 'local-index',
+                truncatedSearch: false,
+                cacheHit: null,
+                rawCandidates: ranked.map(candidate => ({ id: candidate.appid, name: candidate.name, type: candidate.type })),
+                scoredCandidates: ranked,
+                selected: localSelected ? bestMatch.appid : null
+            });
+        }
+        
+        if (localSelected) {
+            console.log(`✅ Steam 앱 인덱스에서 발견: "${originalGameName}" → "${bestMatch.name}" (ID: ${bestMatch.appid}, 점수 ${bestMatch.score})`);
+            return {
+                appid: bestMatch.appid,
+                name: bestMatch.name,
+                type: bestMatch.type,
+                edition,
+                score: bestMatch.score,
+                scoreBreakdown: bestMatch.breakdown,
+                candidates: runnerUps.slice(0, STEAM_MATCH_RUNNER_UPS),
+                stage: 0,
+                truncatedSearch: false,
+                confidence: getMatchConfidence(bestMatch.score),
+                source: `Steam App Index ("${bestMatch.name}")`
+            };
+        }
         
-        const cached = cache.get(cacheKey);
-        if (cached) {
-            console.log(`✅ Steam 게임 검색 캐시 사용 (${i+1}단계): "${attemptName}"`);
-            return cached;
+        if (bestMatch) {
+            console.log(`📉 Steam 앱 인덱스 최고 후보 점수 미달: "${bestMatch.name}" (${bestMatch.score} < ${STEAM_APP_INDEX_THRESHOLD}), Steam 검색으로 전환`);
         }
+    }
+    
+    for (let i = 0; i < uniqueAttempts.length; i++) {
+        const attemptName = uniqueAttempts[i].term.trim();
+        const stageName = STEAM_SEARCH_STAGES[uniqueAttempts[i].stage];
+        const stageTrace = {
+            stage: i + 1,
+            stageName,
+            term: attemptName,
+            truncatedSearch: !fullNameTerms.includes(attemptName),
+            cacheHit: null,
+            rawCandidates: [],
+            scoredCandidates: [],
+            selected: null
+        };
+        if (trace) trace.push(stageTrace);
         
         try {
-            const searchUrl = `${STEAM_STORE_API_BASE}/storesearch/?term=${encodeURIComponent(attemptName)}&l=korean&cc=KR`;
+            const { items, cacheHit } = await fetchSteamSearchItems(attemptName, `${i+1}/${uniqueAttempts.length}단계`, { fresh: options.fresh });
+            stageTrace.cacheHit = cacheHit;
+            stageTrace.rawCandidates = items;
             
-            console.log(`🔍 Steam API 게임 검색 (${i+1}/${uniqueAttempts.length}단계): "${attemptName}"`);
-            
-            const response = await axios.get(searchUrl, {
-                timeout: 10000,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-                }
-            });
-
-            if (response.data && response.data.items && response.data.items.length > 0) {
-                const bestMatch = response.data.items.find(item => 
-                    item.type === 'game' || item.type === 'dlc'
-                ) || response.data.items[0];
+            if (items.length > 0) {
+                const ranked = rankSteamCandidates(items, targetTitles, edition);
+                const [bestMatch, ...runnerUps] = ranked;
+                stageTrace.scoredCandidates = ranked;
 
-                if (bestMatch) {
+                if (bestMatch && bestMatch.score >= STEAM_MATCH_THRESHOLD) {
+                    const truncatedSearch = stageTrace.truncatedSearch;
+                    stageTrace.selected = bestMatch.appid;
                     const result = {
-                        appid: bestMatch.id,
+                        appid: bestMatch.appid,
                         name: bestMatch.name,
                         type: bestMatch.type,
-                        source: `Steam API (${i+1}단계: "${attemptName}")`
+                        edition,
+                        score: bestMatch.score,
+                        scoreBreakdown: bestMatch.breakdown,
+                        candidates: runnerUps.slice(0, STEAM_MATCH_RUNNER_UPS),
+                        stage: i + 1,
+                        truncatedSearch,
+                        confidence: getMatchConfidence(bestMatch.score, truncatedSearch),
+                        source: `Steam API (${stageName}: "${attemptName}")`
                     };
                     
-                    cache.set(cacheKey, result);
-                    console.log(`✅ Steam 게임 발견 (${i+1}단계): "${originalGameName}" → "${bestMatch.name}" (ID: ${bestMatch.id})`);
+                    console.log(`✅ Steam 게임 발견 (${i+1}/${uniqueAttempts.length} ${stageName}): "${originalGameName}" → "${bestMatch.name}" (ID: ${bestMatch.appid}, 점수 ${bestMatch.score})`);
                     console.log(`🎯 성공한 검색어: "${attemptName}"`);
                     return result;
                 }
+                
+                if (bestMatch) {
+                    console.log(`📉 ${i+1}단계 최고 후보 점수 미달: "${bestMatch.name}" (${bestMatch.score} < ${STEAM_MATCH_THRESHOLD})`);
+                }
             }
             
-            console.log(`❌ ${i+1}단계 실패: "${attemptName}"`);
-            
-            if (i < uniqueAttempts.length - 1) {
-                await new Promise(resolve => setTimeout(resolve, 500));
-            }
+            // 단계 사이 대기는 외부 요청 계층의 Steam 도메인 간격 설정으로 처리
+            console.log(`❌ ${i+1}단계 실패: "${attemptName}"${edition ? ` (${edition} 에디션 후보 없음)` : ''}`);
             
         } catch (error) {
+            stageTrace.error = error.message;
             console.error(`Steam 게임 검색 오류 (${i+1}단계 "${attemptName}"):`, error.message);
         }
     }
 
     console.log(`❌ Steam API에서 게임을 찾을 수 없음 (모든 ${uniqueAttempts.length}단계 실패): "${originalGameName}"`);
-    console.log(`🔍 시도된 검색어들: ${uniqueAttempts.map(name => `"${name}"`).join(', ')}`);
+    console.log(`🔍 시도된 검색어들: ${uniqueAttempts.map(attempt => `"${attempt.term}"`).join(', ')}`);
     return null;
 }
 
@@ -414,7 +3955,8 @@ async function fetchSteamPriceByAppId(appId, gameName = '') {
         
         const priceUrl = `${STEAM_STORE_API_BASE}/appdetails?appids=${appId}&cc=KR&l=korean&filters=price_overview,name`;
         
-        const response = await axios.get(priceUrl, {
+        const response = await outboundRequest({
+            url: priceUrl,
             timeout: 10000,
             headers: {
                 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
@@ -458,9 +4000,212 @@ async function fetchSteamPriceByAppId(appId, gameName = '') {
     }
 }
 
-// Steam API를 이용한 게임 가격 정보 가져오기
-async function fetchSteamPrice(gameName) {
-    const cacheKey = `steam_price_${gameName}`;
+// 수동 Steam App ID 지정 (스토어 URL 또는 정규화 제목 → App ID, 다음 스캔에도 유지)
+const STEAM_OVERRIDES_FILE = process.env.STEAM_OVERRIDES_FILE || path.join(DATA_DIR, 'steam-overrides.json');
+
+// 구조: { id, url, title, titleKey, appId, note, createdBy, createdAt, updatedBy, updatedAt }
+let steamOverrides = readJsonFile(STEAM_OVERRIDES_FILE, []);
+
+// URL 비교용 정규화 (쿼리/해시/끝 슬래시 무시)
+function normalizeOverrideUrl(url) {
+    if (!url) return null;
+    try {
+        const parsed = new URL(url);
+        return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}`.toLowerCase();
+    } catch (error) {
+        return String(url).trim().toLowerCase();
+    }
+}
+
+// 지정값 찾기 (스토어 URL 우선, 없으면 정규화 제목)
+function findSteamOverride({ url, title } = {}) {
+    const urlKey = normalizeOverrideUrl(url);
+    if (urlKey) {
+        const byUrl = steamOverrides.find(override => override.url && normalizeOverrideUrl(override.url) === urlKey);
+        if (byUrl) return byUrl;
+    }
+    
+    const titleKey = title ? normalizeTitleKey(title) : '';
+    if (titleKey) {
+        return steamOverrides.find(override => override.titleKey === titleKey) || null;
+    }
+    return null;
+}
+
+function saveSteamOverrides() {
+    writeJsonFile(STEAM_OVERRIDES_FILE, steamOverrides);
+    // 이름 기준 가격 캐시에 이전 매칭이 남지 않도록 비움
+    cache.del(cache.keys().filter(key => key.startsWith('steam_price_') && !key.startsWith('steam_price_appid_')));
+}
+
+// 지정값 추가/갱신 (같은 URL 또는 같은 제목 지정이 있으면 덮어씀)
+function upsertSteamOverride({ url, title, appId, note }, user) {
+    const now = new Date().toISOString();
+    const urlKey = normalizeOverrideUrl(url);
+    const titleKey = title ? normalizeTitleKey(title) : null;
+    
+    const existing = steamOverrides.find(override => (urlKey
+        ? override.url && normalizeOverrideUrl(override.url) === urlKey
+        : !override.url && override.titleKey === titleKey));
+    
+    if (existing) {
+        Object.assign(existing, {
+            title: title || existing.title,
+            titleKey: titleKey || existing.titleKey,
+            appId: String(appId),
+            note: note !== undefined ? note : existing.note,
+            updatedBy: user,
+            updatedAt: now
+        });
+        saveSteamOverrides();
+        return { override: existing, created: false };
+    }
+    
+    const override = {
+        id: `override-${crypto.randomBytes(4).toString('hex')}`,
+        url: url || null,
+        title: title || null,
+        titleKey,
+        appId: String(appId),
+        note: note || '',
+        createdBy: user,
+        createdAt: now,
+        updatedBy: user,
+        updatedAt: now
+    };
+    steamOverrides.push(override);
+    saveSteamOverrides();
+    return { override, created: true };
+}
+
+// 요청한 사용자 (본문 user 또는 X-User 헤더)
+function getRequestUser(req) {
+    return (req.body && req.body.user) || req.get('X-User') || 'unknown';
+}
+
+// 신뢰도 낮은 매칭 검토 대기열 (같은 게임·같은 App ID는 검토 결과 유지)
+const MATCH_REVIEW_FILE = process.env.MATCH_REVIEW_FILE || path.join(DATA_DIR, 'match-review.json');
+const MATCH_REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'reassigned'];
+
+// 구조: { id, key, url, name, originalName, site, steamAppId, steamName, matchScore, matchConfidence, source, candidates, status, reviewedBy, reviewedAt, createdAt, updatedAt }
+let matchReviewQueue = readJsonFile(MATCH_REVIEW_FILE, []);
+
+function saveMatchReviewQueue() {
+    writeJsonFile(MATCH_REVIEW_FILE, matchReviewQueue);
+}
+
+// 게임 식별 키 (스토어 URL 우선, 없으면 정규화 제목)
+function getMatchReviewKey(game) {
+    const urlKey = normalizeOverrideUrl(game.cdkeysUrl || game.url);
+    return urlKey || `title:${normalizeTitleKey(game.name || '')}`;
+}
+
+function findMatchReview(game) {
+    const key = getMatchReviewKey(game);
+    return matchReviewQueue.find(entry => entry.key === key) || null;
+}
+
+// 비교 결과에 붙일 신뢰도/검토 상태 (low면 검토 대기열에 추가)
+function getMatchReviewFields(game, steamPrice) {
+    const matchConfidence = steamPrice.matchConfidence || 'low';
+    const existing = findMatchReview(game);
+    
+    if (matchConfidence !== 'low') {
+        return { matchConfidence, reviewStatus: null, reviewId: null };
+    }
+    
+    // 같은 App ID로 이미 검토된 항목은 결과 유지, App ID가 바뀌었으면 다시 검토
+    if (existing && existing.steamAppId === String(steamPrice.appid)) {
+        return { matchConfidence, reviewStatus: existing.status, reviewId: existing.id };
+    }
+    
+    const now = new Date().toISOString();
+    const entry = {
+        id: existing ? existing.id : `review-${crypto.randomBytes(4).toString('hex')}`,
+        key: getMatchReviewKey(game),
+        url: game.cdkeysUrl || game.url || null,
+        name: game.name,
+        originalName: game.originalName,
+        site: game.site,
+        steamAppId: String(steamPrice.appid),
+        steamName: steamPrice.exactName,
+        matchScore: steamPrice.matchScore,
+        matchConfidence,
+        source: steamPrice.source,
+        candidates: steamPrice.matchCandidates || [],
+        status: 'pending',
+        reviewedBy: null,
+        reviewedAt: null,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+    };
+    
+    matchReviewQueue = matchReviewQueue.filter(item => item.id !== entry.id).concat(entry);
+    saveMatchReviewQueue();
+    console.log(`🔎 검토 대기열 추가: "${game.name}" → "${steamPrice.exactName}" (점수 ${steamPrice.matchScore})`);
+    
+    return { matchConfidence, reviewStatus: entry.status, reviewId: entry.id };
+}
+
+// 검토 결과 기록 (reassigned면 수동 App ID 지정도 저장)
+function resolveMatchReview(entry, status, user, appId = null) {
+    entry.status = status;
+    entry.reviewedBy = user;
+    entry.reviewedAt = new Date().toISOString();
+    entry.updatedAt = entry.reviewedAt;
+    
+    if (status === 'reassigned') {
+        entry.reassignedAppId = String(appId);
+        upsertSteamOverride({ url: entry.url, title: entry.name, appId, note: `검토 대기열 ${entry.id}` }, user);
+    }
+    
+    saveMatchReviewQueue();
+    console.log(`🔎 매칭 검토 ${status}: "${entry.name}" (${entry.id}${appId ? ` → ${appId}` : ''})`);
+    return entry;
+}
+
+// 내보내기 전 검토되지 않은(또는 거절된) 신뢰도 낮은 매칭
+// 요청 본문의 matchConfidence만 믿지 않고 서버 검토 대기열(스토어 URL/제목 키 + App ID)도 확인
+function findUnreviewedMatchGames(games) {
+    return games
+        .map(game => {
+            const appId = game.steamAppId ? String(game.steamAppId) : null;
+            const review = findMatchReview(game);
+            const recordedLow = review && (!appId || review.steamAppId === appId || review.reassignedAppId === appId);
+            if (game.matchConfidence !== 'low' && !recordedLow) return null;
+            
+            const approved = review && appId && (
+                (review.status === 'approved' && review.steamAppId === appId)
+                || (review.status === 'reassigned' && review.reassignedAppId === appId)
+            );
+            return approved ? null : {
+                id: game.id,
+                name: game.name,
+                steamAppId: game.steamAppId,
+                reviewId: review ? review.id : null,
+                reviewStatus: review ? review.status : 'pending'
+            };
+        })
+        .filter(Boolean);
+}
+
+// Steam API를 이용한 게임 가격 정보 가져오기 (options: 에디션 정보, searchSteamGame 참고 / url: 수동 지정 조회용)
+async function fetchSteamPrice(gameName, options = {}) {
+    // 수동 지정된 App ID가 있으면 검색하지 않음
+    const override = findSteamOverride({ url: options.url, title: gameName });
+    if (override) {
+        console.log(`📌 수동 지정 App ID 사용: "${gameName}" → ${override.appId} (${override.updatedBy}, ${override.updatedAt})`);
+        const priceInfo = await fetchSteamPriceByAppId(override.appId, gameName);
+        return priceInfo && {
+            ...priceInfo,
+            source: `Manual Override: ${override.appId}`,
+            matchScore: 1,
+            matchConfidence: 'manual',
+            overrideId: override.id
+        };
+    }
+    
+    const cacheKey = `steam_price_${options.edition ? `${options.edition}_` : ''}${gameName}`;
     const cached = cache.get(cacheKey);
     if (cached) {
         console.log(`Steam 가격 캐시 사용: ${gameName}`);
@@ -468,17 +4213,38 @@ async function fetchSteamPrice(gameName) {
     }
 
     try {
-        const gameInfo = await searchSteamGame(gameName);
+        let gameInfo = await searchSteamGame(gameName, options);
         if (!gameInfo) {
             return null;
         }
 
-        const result = await fetchSteamPriceByAppId(gameInfo.appid, gameName);
-        if (result) {
-            result.source = gameInfo.source;
-            cache.set(cacheKey, result);
+        let priceInfo = await fetchSteamPriceByAppId(gameInfo.appid, gameName);
+        
+        // 로컬 인덱스 후보(종류 정보 없음)에 상점 가격이 없으면 판매 중인 게임이 아닐 수 있으므로 storesearch로 재검색
+        if (gameInfo.stage === 0 && (!priceInfo || priceInfo.final === '무료')) {
+            console.log(`⚠️ Steam 앱 인덱스 후보 가격 없음 (ID: ${gameInfo.appid}), Steam 검색으로 재시도`);
+            const searchedInfo = await searchSteamGame(gameName, { ...options, skipLocalIndex: true });
+            if (searchedInfo && searchedInfo.appid !== gameInfo.appid) {
+                gameInfo = searchedInfo;
+                priceInfo = await fetchSteamPriceByAppId(gameInfo.appid, gameName);
+            }
+        }
+        
+        if (!priceInfo) {
+            return null;
         }
         
+        // App ID별 가격 캐시 객체를 공유하므로 복사해서 매칭 정보 추가
+        const result = {
+            ...priceInfo,
+            source: gameInfo.source,
+            matchScore: gameInfo.score,
+            matchConfidence: gameInfo.confidence,
+            matchBreakdown: gameInfo.scoreBreakdown,
+            matchCandidates: gameInfo.candidates
+        };
+        cache.set(cacheKey, result);
+        
         return result;
 
     } catch (error) {
@@ -487,12 +4253,211 @@ async function fetchSteamPrice(gameName) {
     }
 }
 
+// 골든 파일 (게임명 정리/Steam 매칭 기대값 목록) 폴더
+const GOLDEN_TEST_DIR = process.env.GOLDEN_TEST_DIR || path.join(__dirname, 'fixtures', 'golden');
+const GOLDEN_TEST_MAX_CASES = parseInt(process.env.GOLDEN_TEST_MAX_CASES) || 500;
+
+// CSV/JSON 항목의 컬럼명 차이 흡수 (title, expectedCleanName, expectedAppId, site)
+function normalizeGoldenCase(row, index) {
+    const pick = (...keys) => {
+        const key = keys.find(name => row[name] !== undefined && row[name] !== null && String(row[name]).trim() !== '');
+        return key ? String(row[key]).trim() : null;
+    };
+    
+    return {
+        line: index + 1,
+        title: pick('title', 'rawTitle', 'gameName', 'name'),
+        expectedCleanName: pick('expectedCleanName', 'expectedCleaned', 'cleaned'),
+        expectedAppId: pick('expectedAppId', 'appId', 'appid'),
+        site: pick('site', 'store')
+    };
+}
+
+// 골든 파일 내용 파싱 (JSON 배열 또는 헤더가 있는 CSV)
+function parseGoldenCases(content, format) {
+    if (format === 'json') {
+        const data = typeof content === 'string' ? JSON.parse(content) : content;
+        const rows = Array.isArray(data) ? data : data.cases;
+        if (!Array.isArray(rows)) {
+            throw new Error('JSON 골든 파일은 배열 또는 { cases: [...] } 형식이어야 합니다.');
+        }
+        return rows.map(normalizeGoldenCase);
+    }
+    
+    const parsed = Papa.parse(content, { header: true, skipEmptyLines: true, transformHeader: header => header.trim() });
+    if (parsed.errors.length) {
+        const firstError = parsed.errors[0];
+        throw new Error(`CSV 파싱 오류 (${firstError.row + 2}행): ${firstError.message}`);
+    }
+    return parsed.data.map(normalizeGoldenCase);
+}
+
+// 골든 파일 읽기 (GOLDEN_TEST_DIR 안의 파일명만 허용)
+function loadGoldenFile(fileName) {
+    const filePath = path.join(GOLDEN_TEST_DIR, path.basename(fileName));
+    
+    if (!fs.existsSync(filePath)) {
+        const error = new Error(`골든 파일을 찾을 수 없습니다: ${path.basename(fileName)}`);
+        error.statusCode = 404;
+        throw error;
+    }
+    
+    const format = path.extname(filePath).toLowerCase() === '.csv' ? 'csv' : 'json';
+    return parseGoldenCases(fs.readFileSync(filePath, 'utf8'), format);
+}
+
+function listGoldenFiles() {
+    if (!fs.existsSync(GOLDEN_TEST_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(GOLDEN_TEST_DIR).filter(name => /\.(json|csv)$/i.test(name));
+}
+
+// 골든 케이스 실행: 게임명 정리 결과와 Steam 매칭 App ID를 기대값과 비교
+async function runGoldenCase(goldenCase, { steam = true } = {}) {
+    const result = {
+        line: goldenCase.line,
+        title: goldenCase.title,
+        site: goldenCase.site,
+        expectedCleanName: goldenCase.expectedCleanName,
+        cleaned: null,
+        cleanPass: null,
+        firedRules: [],
+        expectedAppId: goldenCase.expectedAppId,
+        appId: null,
+        steamName: null,
+        matchPass: null,
+        pass: false
+    };
+    
+    if (!goldenCase.title) {
+        result.error = '원본 상품명(title)이 없습니다.';
+        return result;
+    }
+    
+    const adapter = goldenCase.site ? storeAdapters.find(candidate => candidate.id === goldenCase.site) : null;
+    if (goldenCase.site && !adapter) {
+        result.error = `알 수 없는 사이트: ${goldenCase.site}`;
+        return result;
+    }
+    
+    // 사이트 지정 시 사이트별 정리(cleanName)를 거친 결과를 기준으로 비교
+    if (adapter) {
+        result.cleaned = adapter.cleanName(goldenCase.title);
+    } else {
+        const explained = explainCleanGameName(goldenCase.title);
+        result.cleaned = explained.cleanName;
+        result.firedRules = explained.firedRules.map(rule => rule.id);
+    }
+    if (goldenCase.expectedCleanName !== null) {
+        result.cleanPass = result.cleaned === goldenCase.expectedCleanName;
+    }
+    
+    if (steam && goldenCase.expectedAppId !== null) {
+        try {
+            // 비교 크롤링과 같은 에디션 정보로 검색 (에디션 상품 매칭도 함께 검증)
+            const gameInfo = await searchSteamGame(result.cleaned, parseGameEdition(goldenCase.title, result.cleaned));
+            if (gameInfo) {
+                result.appId = String(gameInfo.appid);
+                result.steamName = gameInfo.name;
+                result.matchScore = gameInfo.score;
+            }
+        } catch (error) {
+            result.error = error.message;
+        }
+        result.matchPass = result.appId === goldenCase.expectedAppId;
+    }
+    
+    result.pass = !result.error && result.cleanPass !== false && result.matchPass !== false;
+    return result;
+}
+
+// Steam 매칭 골든 테스트 실행 상태 (케이스마다 Steam 검색이 필요해 오래 걸리므로 백그라운드로 한 번에 하나만 실행)
+const goldenTestRun = {
+    running: false,
+    startedAt: null,
+    finishedAt: null,
+    file: null,
+    total: 0,
+    completed: 0,
+    lastResult: null,
+    lastError: null
+};
+
+// 케이스를 순서대로 실행하고 리포트 생성 (Steam 검색은 외부 요청 계층에서 도메인별로 제한됨)
+async function runGoldenTest(cases, { steam = true, file = null, failuresOnly = false, onProgress = null } = {}) {
+    console.log(`🧪 골든 테스트 시작: ${cases.length}개 케이스${steam ? '' : ' (Steam 매칭 생략)'}`);
+    const startedAt = Date.now();
+    
+    const results = [];
+    for (const goldenCase of cases) {
+        results.push(await runGoldenCase(goldenCase, { steam }));
+        if (onProgress) onProgress(results.length);
+    }
+    
+    const failed = results.filter(result => !result.pass);
+    const summary = {
+        total: results.length,
+        passed: results.length - failed.length,
+        failed: failed.length,
+        cleanFailed: results.filter(result => result.cleanPass === false).length,
+        matchFailed: results.filter(result => result.matchPass === false).length,
+        durationMs: Date.now() - startedAt
+    };
+    
+    console.log(`🧪 골든 테스트 완료: ${summary.passed}/${summary.total} 통과`);
+    
+    return {
+        success: failed.length === 0,
+        file: file ? path.basename(file) : null,
+        steam,
+        summary,
+        failures: failed,
+        results: failuresOnly ? undefined : results
+    };
+}
+
+// Steam 매칭 골든 테스트를 백그라운드로 실행 (진행 상태와 결과는 GET /api/golden-test)
+async function startGoldenTestRun(cases, options) {
+    if (goldenTestRun.running) {
+        const error = new Error('골든 테스트가 이미 진행 중입니다.');
+        error.statusCode = 409;
+        throw error;
+    }
+    
+    goldenTestRun.running = true;
+    goldenTestRun.startedAt = new Date().toISOString();
+    goldenTestRun.finishedAt = null;
+    goldenTestRun.file = options.file ? path.basename(options.file) : null;
+    goldenTestRun.total = cases.length;
+    goldenTestRun.completed = 0;
+    goldenTestRun.lastError = null;
+    
+    try {
+        goldenTestRun.lastResult = await runGoldenTest(cases, {
+            ...options,
+            steam: true,
+            onProgress: completed => { goldenTestRun.completed = completed; }
+        });
+        return goldenTestRun.lastResult;
+    } catch (error) {
+        goldenTestRun.lastError = error.message;
+        throw error;
+    } finally {
+        goldenTestRun.running = false;
+        goldenTestRun.finishedAt = new Date().toISOString();
+    }
+}
+
 // Steam API를 이용한 게임 상세 정보 가져오기 (엑셀용)
-async function getSteamGameInfo(gameName) {
+// App ID 우선순위: 수동 지정값 → 비교 결과의 steamAppId → 게임명 검색 (options: 비교 결과 게임 객체)
+async function getSteamGameInfo(gameName, options = {}) {
     console.log(`Steam API에서 "${gameName}" 게임 정보 수집 시작`);
     
     try {
-        const gameInfo = await searchSteamGame(gameName);
+        const override = findSteamOverride({ url: options.url, title: gameName });
+        const appId = (override && override.appId) || options.steamAppId;
+        const gameInfo = appId ? { appid: String(appId) } : await searchSteamGame(gameName, options);
         if (!gameInfo) {
             return {
                 headerImage: '',
@@ -504,7 +4469,8 @@ async function getSteamGameInfo(gameName) {
 
         const detailsUrl = `${STEAM_STORE_API_BASE}/appdetails?appids=${gameInfo.appid}&cc=KR&l=korean`;
         
-        const response = await axios.get(detailsUrl, {
+        const response = await outboundRequest({
+            url: detailsUrl,
             timeout: 15000,
             headers: {
                 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
@@ -572,7 +4538,8 @@ async function getKoreanGameName(englishName) {
 
         const detailsUrl = `${STEAM_STORE_API_BASE}/appdetails?appids=${gameInfo.appid}&cc=KR&l=korean`;
         
-        const response = await axios.get(detailsUrl, {
+        const response = await outboundRequest({
+            url: detailsUrl,
             timeout: 10000,
             headers: {
                 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
@@ -602,7 +4569,8 @@ async function getKoreanGameName(englishName) {
 
 // 개선된 상품명 생성 함수
 function generateProductName(game, userKoreanName = '', autoKoreanName = '') {
-    const cleanGameName = sanitizeProductName(game.name);
+    // 에디션 상품은 "기본 제목 + 에디션" 형식 (예: ELDEN RING Deluxe Edition)
+    const cleanGameName = sanitizeProductName(formatEditionTitle(game));
     
     // 1순위: 사용자가 직접 입력한 한글명
     if (userKoreanName && userKoreanName.trim()) {
@@ -663,7 +4631,7 @@ app.post('/api/compare-single', async (req, res) => {
     }
     
     try {
-        const siteName = url.includes('loaded.com') ? 'Loaded' : 'CDKeys';
+        const siteName = getStoreAdapter(url).name;
         console.log(`\n=== 단일 페이지 가격 비교 시작 (${siteName}) ===`);
         console.log(`URL: ${url}`);
         console.log(`마진율: ${margin}%`);
@@ -672,7 +4640,7 @@ app.post('/api/compare-single', async (req, res) => {
         const gameData = await fetchGameSinglePrice(url);
         
         // Steam 가격 조회
-        const steamPrice = await fetchSteamPrice(gameData.name);
+        const steamPrice = await fetchSteamPrice(gameData.name, gameData);
         
         if (!steamPrice) {
             return res.json({
@@ -699,6 +4667,9 @@ app.post('/api/compare-single', async (req, res) => {
             id: gameData.id,
             originalName: gameData.originalName,
             name: gameData.name,
+            baseTitle: gameData.baseTitle,
+            edition: gameData.edition,
+            editionLabel: gameData.editionLabel,
             gamePrice: gameData.price,
             gamePriceKRW: gamePriceKRW,
             site: gameData.site,
@@ -709,11 +4680,26 @@ app.post('/api/compare-single', async (req, res) => {
             steamAppId: steamPrice.appid,
             steamExactName: steamPrice.exactName,
             steamSource: steamPrice.source,
+            matchScore: steamPrice.matchScore,
+            matchCandidates: steamPrice.matchCandidates,
+            ...getMatchReviewFields(gameData, steamPrice),
             sellPrice: sellPrice,
             savingsAmount: savingsAmount,
             savingsPercent: savingsPercent,
             url: gameData.url,
-            isProfit: savingsAmount > 0
+            isProfit: savingsAmount > 0,
+            scrapeMethod: gameData.scrapeMethod,
+            scrapeMs: gameData.scrapeMs,
+            scrapeTraffic: gameData.scrapeTraffic,
+            availability: gameData.availability,
+            releaseDate: gameData.releaseDate,
+            isAvailable: !isUnavailable(gameData),
+            isPreOrder: gameData.availability === 'pre_order',
+            region: gameData.region,
+            platform: gameData.platform,
+            koreaActivatable: gameData.koreaActivatable,
+            activationNote: gameData.activationNote,
+            ...buildSupplierSaleFields(gameData)
         };
         
         console.log(`✅ 단일 페이지 비교 완료:`);
@@ -730,16 +4716,17 @@ app.post('/api/compare-single', async (req, res) => {
         
     } catch (error) {
         console.error('단일 페이지 비교 오류:', error);
-        res.status(500).json({ 
+        res.status(error.statusCode || 500).json({ 
             error: '가격 비교 중 오류가 발생했습니다.',
-            details: error.message 
+            details: error.message,
+            failureType: error.failureType
         });
     }
 });
 
 // 여러 단일 페이지 가격 비교 API (새로 추가)
 app.post('/api/compare-multi-single', async (req, res) => {
-    const { urls, margin = 0 } = req.body;
+    const { urls, margin = 0, includeUnavailable = false } = req.body;
     
     if (!urls || !Array.isArray(urls) || urls.length === 0) {
         return res.status(400).json({ error: 'URL 배열이 필요합니다.' });
@@ -749,30 +4736,44 @@ app.post('/api/compare-multi-single', async (req, res) => {
         console.log(`\n=== 여러 단일 페이지 가격 비교 시작 ===`);
         console.log(`URL 개수: ${urls.length}`);
         console.log(`마진율: ${margin}%`);
+        console.log(`동시 처리: 최대 ${PAGE_POOL_SIZE}개 페이지`);
         
-        const results = [];
+        // 요청별 owner로 페이지 풀을 공정하게 나눠 사용
+        const owner = `multi_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
         
-        for (let i = 0; i < urls.length; i++) {
-            const url = urls[i];
+        const results = await mapWithConcurrency(urls, PAGE_POOL_SIZE, async (url, i) => {
             console.log(`\n[${i + 1}/${urls.length}] 처리 중: ${url}`);
             
             try {
                 // 단일 페이지 크롤링
-                const gameData = await fetchGameSinglePrice(url);
+                const gameData = await fetchGameSinglePrice(url, { owner });
                 
+                // 품절 상품은 Steam 조회 없이 실패 항목으로 표시
+                if (!includeUnavailable && isUnavailable(gameData)) {
+                    console.log(`   🚫 품절: ${gameData.name}`);
+                    return {
+                        success: false,
+                        url: url,
+                        id: gameData.id,
+                        name: gameData.name,
+                        site: gameData.site,
+                        availability: gameData.availability,
+                        message: '품절된 상품입니다.'
+                    };
+                }
+
                 // Steam 가격 조회
-                const steamPrice = await fetchSteamPrice(gameData.name);
+                const steamPrice = await fetchSteamPrice(gameData.name, gameData);
                 
                 if (!steamPrice) {
-                    results.push({
+                    return {
                         success: false,
                         url: url,
                         id: gameData.id,
                         name: gameData.name,
                         site: gameData.site,
                         message: 'Steam에서 게임을 찾을 수 없습니다.'
-                    });
-                    continue;
+                    };
                 }
                 
                 // 가격 파싱
@@ -792,6 +4793,9 @@ app.post('/api/compare-multi-single', async (req, res) => {
                     id: gameData.id,
                     originalName: gameData.originalName,
                     name: gameData.name,
+                    baseTitle: gameData.baseTitle,
+                    edition: gameData.edition,
+                    editionLabel: gameData.editionLabel,
                     exactName: steamPrice.exactName || gameData.name,
                     cdkeysPrice: gamePriceKRW,
                     cdkeysUrl: gameData.url,
@@ -803,26 +4807,42 @@ app.post('/api/compare-multi-single', async (req, res) => {
                     savings: savingsAmount,
                     savingsPercent: savingsPercent,
                     source: steamPrice.source,
+                    matchScore: steamPrice.matchScore,
+                    matchCandidates: steamPrice.matchCandidates,
+                    ...getMatchReviewFields(gameData, steamPrice),
                     isProfit: savingsAmount > 0,
+                    scrapeMethod: gameData.scrapeMethod,
+                    scrapeMs: gameData.scrapeMs,
+                    scrapeTraffic: gameData.scrapeTraffic,
+                    availability: gameData.availability,
+                    releaseDate: gameData.releaseDate,
+                    isAvailable: !isUnavailable(gameData),
+                    isPreOrder: gameData.availability === 'pre_order',
+                    region: gameData.region,
+                    platform: gameData.platform,
+                    koreaActivatable: gameData.koreaActivatable,
+                    activationNote: gameData.activationNote,
+                    ...buildSupplierSaleFields(gameData),
                     koreanName: ''
                 };
                 
-                results.push({
+                console.log(`   ✅ 완료: ${result.name} (절약: ${savingsPercent}%)`);
+                
+                return {
                     success: true,
                     result: result
-                });
-                
-                console.log(`   ✅ 완료: ${result.name} (절약: ${savingsPercent}%)`);
+                };
                 
             } catch (error) {
                 console.error(`   ❌ 오류: ${error.message}`);
-                results.push({
+                return {
                     success: false,
                     url: url,
-                    message: error.message
-                });
+                    message: error.message,
+                    failureType: error.failureType
+                };
             }
-        }
+        });
         
         const successCount = results.filter(r => r.success).length;
         console.log(`\n=== 여러 단일 페이지 비교 완료: ${successCount}/${urls.length} 성공 ===`);
@@ -848,7 +4868,7 @@ app.post('/api/compare-multi-single', async (req, res) => {
 
 // App ID로 Steam 정보 재조회
 app.post('/api/refresh-steam-info', async (req, res) => {
-    const { gameId, appId, allGames } = req.body;
+    const { gameId, appId, allGames, saveOverride = true } = req.body;
     
     if (!gameId || !appId) {
         return res.status(400).json({ error: 'Game ID와 App ID가 필요합니다.' });
@@ -885,15 +4905,42 @@ app.post('/api/refresh-steam-info', async (req, res) => {
                 savingsPercent: Math.round((savings / steamOriginalPrice) * 100),
                 steamAppId: steamPrice.appid,
                 source: `Manual App ID: ${appId}`,
+                matchConfidence: 'manual',
                 koreanName: autoKoreanName // 한글명 추가
             };
             
+            // 지정값 저장/검토 처리는 관리자 요청만 (아니면 이번 결과에만 반영)
+            const canPersist = isAdminRequest(req);
+            const overrideSkipped = (saveOverride && !canPersist)
+                ? `App ID 지정은 저장되지 않았습니다. (${getAdminRequirement()})`
+                : null;
+            
+            // 검토 대기 중이던 게임이면 재지정으로 처리
+            const review = findMatchReview(game);
+            if (canPersist && review && review.status === 'pending') {
+                resolveMatchReview(review, 'reassigned', getRequestUser(req), appId);
+            }
+            
+            // 다음 스캔에도 같은 App ID를 쓰도록 저장 (스토어 URL + 게임명)
+            let override = null;
+            if (saveOverride && canPersist) {
+                override = upsertSteamOverride({
+                    url: game.cdkeysUrl || game.url,
+                    title: game.name,
+                    appId
+                }, getRequestUser(req)).override;
+                updatedGame.overrideId = override.id;
+                console.log(`📌 App ID 수동 지정 저장: "${game.name}" → ${appId}`);
+            }
+            
             console.log(`✅ App ID ${appId} 정보 갱신 완료: ${updatedGame.exactName}`);
             
             res.json({
                 success: true,
                 game: updatedGame,
-                gameIndex
+                gameIndex,
+                override,
+                overrideSkipped
             });
         } else {
             res.status(404).json({ 
@@ -910,38 +4957,164 @@ app.post('/api/refresh-steam-info', async (req, res) => {
     }
 });
 
+// 수동 Steam App ID 지정 목록 (q: 제목/URL/App ID 검색)
+app.get('/api/steam-overrides', (req, res) => {
+    const query = (req.query.q || '').toLowerCase();
+    const overrides = query
+        ? steamOverrides.filter(override => [override.title, override.url, override.appId]
+            .some(value => value && String(value).toLowerCase().includes(query)))
+        : steamOverrides;
+    
+    res.json({ success: true, total: overrides.length, overrides });
+});
+
+// 수동 Steam App ID 지정 추가 (url 및/또는 title, appId)
+app.post('/api/steam-overrides', requireAdmin, (req, res) => {
+    const { url, title, appId, note } = req.body;
+    
+    if ((!url && !title) || !/^\d+$/.test(String(appId || ''))) {
+        return res.status(400).json({ error: 'url 또는 title과 숫자 App ID가 필요합니다.' });
+    }
+    
+    const { override, created } = upsertSteamOverride({ url, title, appId, note }, getRequestUser(req));
+    console.log(`📌 App ID 수동 지정 ${created ? '추가' : '갱신'}: ${override.url || override.title} → ${override.appId}`);
+    
+    res.status(created ? 201 : 200).json({ success: true, override });
+});
+
+// 수동 Steam App ID 지정 수정
+app.put('/api/steam-overrides/:id', requireAdmin, (req, res) => {
+    const override = steamOverrides.find(item => item.id === req.params.id);
+    
+    if (!override) {
+        return res.status(404).json({ error: '지정 항목을 찾을 수 없습니다.', details: req.params.id });
+    }
+    
+    const { url, title, appId, note } = req.body;
+    if (appId !== undefined && !/^\d+$/.test(String(appId))) {
+        return res.status(400).json({ error: 'App ID는 숫자여야 합니다.' });
+    }
+    if (url === null && !(title || override.title)) {
+        return res.status(400).json({ error: 'url 또는 title 중 하나는 있어야 합니다.' });
+    }
+    
+    if (url !== undefined) override.url = url || null;
+    if (title !== undefined) {
+        override.title = title;
+        override.titleKey = normalizeTitleKey(title);
+    }
+    if (appId !== undefined) override.appId = String(appId);
+    if (note !== undefined) override.note = note;
+    override.updatedBy = getRequestUser(req);
+    override.updatedAt = new Date().toISOString();
+    
+    saveSteamOverrides();
+    console.log(`📌 App ID 수동 지정 수정: ${override.id} → ${override.appId}`);
+    
+    res.json({ success: true, override });
+});
+
+// 수동 Steam App ID 지정 삭제
+app.delete('/api/steam-overrides/:id', requireAdmin, (req, res) => {
+    const override = steamOverrides.find(item => item.id === req.params.id);
+    
+    if (!override) {
+        return res.status(404).json({ error: '지정 항목을 찾을 수 없습니다.', details: req.params.id });
+    }
+    
+    steamOverrides = steamOverrides.filter(item => item.id !== override.id);
+    saveSteamOverrides();
+    console.log(`📌 App ID 수동 지정 삭제: ${override.id}`);
+    
+    res.json({ success: true, removed: override });
+});
+
+// 매칭 검토 대기열 (status: pending 기본, all이면 전체)
+app.get('/api/review-queue', (req, res) => {
+    const status = req.query.status || 'pending';
+    const entries = status === 'all' ? matchReviewQueue : matchReviewQueue.filter(entry => entry.status === status);
+    
+    res.json({
+        success: true,
+        total: entries.length,
+        counts: MATCH_REVIEW_STATUSES.reduce((counts, name) => ({
+            ...counts,
+            [name]: matchReviewQueue.filter(entry => entry.status === name).length
+        }), {}),
+        entries
+    });
+});
+
+// 매칭 검토 처리 (approve: 현재 App ID 승인, reject: 잘못된 매칭, reassign: 다른 App ID로 재지정)
+app.post('/api/review-queue/:id/:action', requireAdmin, (req, res) => {
+    const entry = matchReviewQueue.find(item => item.id === req.params.id);
+    const statusByAction = { approve: 'approved', reject: 'rejected', reassign: 'reassigned' };
+    const status = statusByAction[req.params.action];
+    
+    if (!status) {
+        return res.status(404).json({ error: '지원하지 않는 검토 작업입니다.', details: req.params.action });
+    }
+    if (!entry) {
+        return res.status(404).json({ error: '검토 항목을 찾을 수 없습니다.', details: req.params.id });
+    }
+    
+    const { appId } = req.body;
+    if (status === 'reassigned' && !/^\d+$/.test(String(appId || ''))) {
+        return res.status(400).json({ error: '재지정할 숫자 App ID가 필요합니다.' });
+    }
+    
+    resolveMatchReview(entry, status, getRequestUser(req), status === 'reassigned' ? appId : null);
+    res.json({ success: true, entry });
+});
+
 // 가격 비교
+// source: 'index'면 URL 대신 카탈로그 인덱스(filter로 범위 지정, 가격은 원화)에서 최대 maxItems개 사용
 app.post('/api/compare', async (req, res) => {
-    const { url, minDifference = 5000 } = req.body;
+    const { url, source, filter = {}, minDifference = 5000, maxPages, maxItems, includeUnavailable = false } = req.body;
+    const useIndex = source === 'index';
     
-    if (!url) {
-        return res.status(400).json({ error: 'CDKeys URL이 필요합니다.' });
+    if (!url && !useIndex) {
+        return res.status(400).json({ error: 'CDKeys URL이 필요합니다. (또는 source: "index")' });
     }
     
     try {
-        const siteName = url.includes('loaded.com') ? 'Loaded' : 'CDKeys';
+        const siteName = useIndex ? '카탈로그 인덱스' : getStoreAdapter(url).name;
         console.log(`=== 가격 비교 시작 (다단계 Steam 검색 로직 적용, ${siteName}) ===`);
-        console.log(`URL: ${url}`);
+        console.log(useIndex ? `필터: ${JSON.stringify(filter)}` : `URL: ${url}`);
         console.log(`최소 차액: ${minDifference}원`);
         console.log(`시간: ${new Date().toISOString()}`);
         console.log(`사용자: wogho`);
         
-        const games = await fetchGamesFromList(url);
+        const pageLimit = clampCrawlLimit(maxPages, CRAWL_MAX_PAGES, CRAWL_MAX_PAGES_LIMIT);
+        const itemLimit = clampCrawlLimit(maxItems, CRAWL_MAX_ITEMS, CRAWL_MAX_ITEMS_LIMIT);
+        // 한 개 더 조회해서 제한을 넘는 상품이 실제로 있을 때만 truncated
+        const indexGames = useIndex ? searchCatalogIndex({ ...filter, availableOnly: false, limit: itemLimit + 1 }) : null;
+        const { games, pagesCrawled, truncated, scrapeMethod, scrapeMs, scrapeTraffic } = useIndex
+            ? { games: indexGames.slice(0, itemLimit), pagesCrawled: 0, truncated: indexGames.length > itemLimit, scrapeMethod: 'index', scrapeMs: 0, scrapeTraffic: null }
+            : await fetchGamesFromList(url, { maxPages: pageLimit, maxItems: itemLimit });
         
         if (games.length === 0) {
             return res.json({ 
                 success: true, 
                 games: [],
+                pagesCrawled,
                 message: '게임을 찾을 수 없습니다.' 
             });
         }
         
+        // 품절 상품은 기본적으로 Steam 조회 없이 제외 (예약 구매는 표시만 함)
+        const unavailableGames = includeUnavailable ? [] : games.filter(isUnavailable);
+        const targetGames = includeUnavailable ? games : games.filter(game => !isUnavailable(game));
+        if (unavailableGames.length > 0) {
+            console.log(`🚫 품절 상품 ${unavailableGames.length}개 제외`);
+        }
+        
         const comparisons = [];
         const notFoundGames = [];
         
-        for (const game of games) {
+        for (const game of targetGames) {
             try {
-                const steamPrice = await fetchSteamPrice(game.name);
+                const steamPrice = await fetchSteamPrice(game.name, game);
                 
                 if (steamPrice && steamPrice.final !== "무료") {
                     const cdkeysPrice = parsePrice(game.price);
@@ -958,6 +5131,9 @@ app.post('/api/compare', async (req, res) => {
                         id: game.id,
                         name: game.name,
                         originalName: game.originalName,
+                        baseTitle: game.baseTitle,
+                        edition: game.edition,
+                        editionLabel: game.editionLabel,
                         exactName: steamPrice.exactName || game.name,
                         cdkeysPrice,
                         cdkeysUrl: game.url,
@@ -968,10 +5144,28 @@ app.post('/api/compare', async (req, res) => {
                         savingsPercent: Math.round((savings / steamOriginalPrice) * 100),
                         steamAppId: steamPrice.appid,
                         source: steamPrice.source,
+                        matchScore: steamPrice.matchScore,
+                        matchCandidates: steamPrice.matchCandidates,
+                        ...getMatchReviewFields(game, steamPrice),
                         steamFound: true,
+                        scrapeMethod: game.scrapeMethod,
+                        availability: game.availability,
+                        releaseDate: game.releaseDate,
+                        isAvailable: !isUnavailable(game),
+                        isPreOrder: game.availability === 'pre_order',
+                        region: game.region,
+                        platform: game.platform,
+                        koreaActivatable: game.koreaActivatable,
+                        activationNote: game.activationNote,
+                        activationVerified: game.activationVerified !== false,
+                        ...buildSupplierSaleFields(game),
                         koreanName: autoKoreanName // 한글명 추가
                     };
                     
+                    if (gameData.isTemporaryDeal) {
+                        console.log(`⏳ "${game.name}": ${gameData.saleWarning}`);
+                    }
+                    
                     if (savings >= minDifference) {
                         comparisons.push(gameData);
                     }
@@ -984,8 +5178,6 @@ app.post('/api/compare', async (req, res) => {
                     });
                 }
                 
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                
             } catch (error) {
                 console.error(`게임 비교 오류 (${game.name}):`, error.message);
                 notFoundGames.push({
@@ -1002,18 +5194,27 @@ app.post('/api/compare', async (req, res) => {
         
         res.json({
             success: true,
+            source: useIndex ? 'index' : 'url',
             totalGames: games.length,
+            pagesCrawled,
+            truncated,
+            scrapeMethod,
+            scrapeMs,
+            scrapeTraffic,
             discountedGames: comparisons.length,
             notFoundGames: notFoundGames.length,
+            unavailableGames: unavailableGames.length,
             games: comparisons,
-            notFound: notFoundGames
+            notFound: notFoundGames,
+            unavailable: unavailableGames
         });
         
     } catch (error) {
         console.error('비교 처리 오류:', error);
-        res.status(500).json({ 
+        res.status(error.statusCode || 500).json({ 
             error: '가격 비교 중 오류가 발생했습니다.',
-            details: error.message 
+            details: error.message,
+            failureType: error.failureType
         });
     }
 });
@@ -1021,7 +5222,7 @@ app.post('/api/compare', async (req, res) => {
 // 엑셀 내보내기 API (사용자 지정 한글명 지원)
 app.post('/api/export-excel', async (req, res) => {
     try {
-        const { games, user = 'wogho', timestamp = new Date().toISOString() } = req.body;
+        const { games, user = 'wogho', timestamp = new Date().toISOString(), force = false } = req.body;
         
         console.log(`\n=== 엑셀 내보내기 시작 (사용자 지정 한글명 지원) ===`);
         console.log(`👤 사용자: ${user}`);
@@ -1035,6 +5236,28 @@ app.post('/api/export-excel', async (req, res) => {
             });
         }
         
+        // [우회X 한국코드] 상품명은 한국에서 활성화 가능한 Steam 키에만 사용
+        const blockedGames = findKoreaExportBlockedGames(games);
+        if (blockedGames.length > 0) {
+            console.warn(`🚫 한국코드 상품명으로 내보낼 수 없는 게임 ${blockedGames.length}개`);
+            return res.status(400).json({
+                success: false,
+                error: '한국에서 활성화할 수 없는 키가 포함되어 있습니다.',
+                blockedGames
+            });
+        }
+        
+        // 신뢰도 낮은 매칭은 검토 승인 후에만 내보냄 (force: true로 무시)
+        const unreviewedGames = force ? [] : findUnreviewedMatchGames(games);
+        if (unreviewedGames.length > 0) {
+            console.warn(`🔎 검토되지 않은 신뢰도 낮은 매칭 ${unreviewedGames.length}개`);
+            return res.status(409).json({
+                success: false,
+                error: '검토되지 않은 신뢰도 낮은 Steam 매칭이 포함되어 있습니다. (force: true로 무시)',
+                unreviewedGames
+            });
+        }
+        
         const excelData = [];
         
         // A1 셀에 "상품 기본정보" 헤더 추가
@@ -1077,7 +5300,7 @@ app.post('/api/export-excel', async (req, res) => {
             console.log(`🔄 "${game.name}" 게임 정보 처리 중...`);
             
             try {
-                const steamInfo = await getSteamGameInfo(game.name);
+                const steamInfo = await getSteamGameInfo(game.name, game);
                 
                 // 상품명 생성 (우선순위: 사용자입력 → Steam API → 기본)
                 const productName = generateProductName(
@@ -1270,7 +5493,7 @@ app.post('/api/export-excel', async (req, res) => {
 // 관리용 엑셀 내보내기 API (사용자 지정 한글명 지원)
 app.post('/api/export-excel-management', async (req, res) => {
     try {
-        const { games, user = 'wogho', timestamp = new Date().toISOString() } = req.body;
+        const { games, user = 'wogho', timestamp = new Date().toISOString(), force = false } = req.body;
         
         console.log(`\n=== 관리용 엑셀 내보내기 시작 (사용자 지정 한글명 지원) ===`);
         console.log(`👤 사용자: ${user}`);
@@ -1285,6 +5508,28 @@ app.post('/api/export-excel-management', async (req, res) => {
             });
         }
         
+        // [우회X 한국코드] 상품명은 한국에서 활성화 가능한 Steam 키에만 사용
+        const blockedGames = findKoreaExportBlockedGames(games);
+        if (blockedGames.length > 0) {
+            console.warn(`🚫 한국코드 상품명으로 내보낼 수 없는 게임 ${blockedGames.length}개`);
+            return res.status(400).json({
+                success: false,
+                error: '한국에서 활성화할 수 없는 키가 포함되어 있습니다.',
+                blockedGames
+            });
+        }
+        
+        // 신뢰도 낮은 매칭은 검토 승인 후에만 내보냄 (force: true로 무시)
+        const unreviewedGames = force ? [] : findUnreviewedMatchGames(games);
+        if (unreviewedGames.length > 0) {
+            console.warn(`🔎 검토되지 않은 신뢰도 낮은 매칭 ${unreviewedGames.length}개`);
+            return res.status(409).json({
+                success: false,
+                error: '검토되지 않은 신뢰도 낮은 Steam 매칭이 포함되어 있습니다. (force: true로 무시)',
+                unreviewedGames
+            });
+        }
+        
         const excelData = [];
         
         // 각 게임별로 관리용 데이터 처리
@@ -1415,14 +5660,61 @@ app.get('/api/status', (req, res) => {
         },
         uptime: process.uptime(),
         memory: process.memoryUsage(),
+        browser: getBrowserStatus(),
+        outbound: getOutboundStats(),
+        requestBlocking: {
+            enabled: REQUEST_BLOCKING_ENABLED,
+            resourceTypes: BLOCKED_RESOURCE_TYPES,
+            domains: BLOCKED_DOMAINS
+        },
+        pagePool: getPagePoolStats(),
+        scrapeTimings: getScrapeTimingStats(),
+        scrapeHealth: getScrapeHealthReport(),
+        selectorConfig: {
+            file: SELECTOR_CONFIG_FILE,
+            loadedAt: selectorConfig.loadedAt,
+            lastError: selectorConfig.lastError
+        },
+        catalogIndex: getCatalogIndexSummary(),
+        steamAppIndex: getSteamAppIndexSummary(),
+        fixtureMode: SCRAPE_FIXTURE_MODE || 'off',
+        stores: storeAdapters.map(adapter => ({
+            id: adapter.id,
+            name: adapter.name,
+            hostnames: adapter.hostnames,
+            currency: adapter.currency
+        })),
         features: [
             'CDKeys Crawling (Enhanced PC/DLC Removal)',
+            'Multi-Page List Crawling (Pagination / Load More)',
+            'Concurrent Crawling (Bounded Page Pool)',
+            'Chromium Crash Recovery & Recycling',
+            'Request Blocking (Images / Fonts / Trackers) & Traffic Stats',
+            'Store Adapter Registry (CDKeys, Loaded)',
+            'Static HTML Scraping (Puppeteer Fallback)',
+            'CDKeys Magento GraphQL Catalog API (DOM Fallback)',
+            'Full-Catalog Sitemap Index (Incremental Refresh)',
+            'Outbound Proxy Rotation & Per-Domain Throttling',
+            'Scrape Failure Screenshots & HTML Snapshots',
+            'Site Selector Config (Hot Reload) & Selector Test',
+            'Scrape Failure Classification & Health Report',
+            'Stock / Pre-order Detection',
+            'Activation Region / Platform Check (Korea Export Guard)',
+            'Supplier Sale Price / Deal End Detection',
             'Steam API Multi-Stage Search',
             'Manual App ID Input',
             'Excel Export (Custom Korean Name Support)', // 업데이트됨
             'Excel Export Management (Custom Korean Name Support)', // 업데이트됨
             'Cache Management',
-            'Game Name Cleaning System'
+            'Game Name Cleaning System (Editable Rules)',
+            'Edition Detection (Base Title + Edition Matching)',
+            'Title Normalization (Symbols / Numerals / Publisher Prefixes)',
+            'Similarity-Scored Steam Candidate Ranking',
+            'Persisted Manual Steam App ID Overrides',
+            'Match Confidence & Review Queue (Export Guard)',
+            'Steam Search Trace (Test Endpoint)',
+            'Local Steam App Index (Offline-First Matching)',
+            'Golden-File Batch Test (Name Cleaning / Steam Matching)'
         ],
         user: 'wogho',
         timestamp: '2025-08-21 11:11:16 UTC',
@@ -1441,37 +5733,405 @@ app.get('/api/status', (req, res) => {
             'Regional indicators (Global, EU, US, UK)',
             'Platform identifiers'
         ],
-        searchStages: [
-            '1단계: 원본 게임명',
-            '2단계: 기본 정리',
-            '3단계: 플랫폼 제거',
-            '4단계: DLC 제거',
-            '5단계: 콜론 이후 제거',
-            '6단계: 대시 이후 제거',
-            '7단계: 마지막 단어 제거',
-            '8단계: 마지막 2단어 제거'
-        ]
+        searchStages: Object.values(STEAM_SEARCH_STAGES)
+    });
+});
+
+// 크롤링 상태 (사이트별 성공/실패 통계)
+app.get('/api/scrape-health', (req, res) => {
+    res.json({
+        success: true,
+        window: SCRAPE_HEALTH_WINDOW,
+        failureTypes: SCRAPE_FAILURE_TYPES,
+        sites: getScrapeHealthReport(),
+        timings: getScrapeTimingStats(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// 현재 셀렉터 설정 (파일 경로, 마지막 로드 시각, 로드 오류)
+app.get('/api/selectors', (req, res) => {
+    res.json({
+        success: true,
+        file: SELECTOR_CONFIG_FILE,
+        loadedAt: selectorConfig.loadedAt,
+        lastError: selectorConfig.lastError,
+        // 설정 파일에 없는 사이트는 기본 셀렉터가 적용 중
+        sites: Object.fromEntries(storeAdapters.map(adapter => [adapter.id, adapter.selectors]))
+    });
+});
+
+// 셀렉터 설정 즉시 다시 읽기 (파일 변경은 자동 감지)
+app.post('/api/selectors/reload', (req, res) => {
+    if (!loadSelectorConfig('수동')) {
+        return res.status(400).json({
+            error: '셀렉터 설정을 다시 읽지 못했습니다. 이전 설정을 유지합니다.',
+            details: selectorConfig.lastError
+        });
+    }
+    
+    res.json({ success: true, loadedAt: selectorConfig.loadedAt, sites: Object.keys(selectorConfig.sites) });
+});
+
+// 셀렉터 테스트: URL에 셀렉터 세트를 적용해 셀렉터별 추출 결과와 파싱 결과 반환
+// body: { url, site?, selectors? (사이트 설정에 덮어쓸 항목), browser? (Puppeteer로 렌더링) }
+app.post('/api/selector-test', async (req, res) => {
+    const { url, site, selectors = {}, browser: useBrowser = false } = req.body;
+    
+    if (!url) {
+        return res.status(400).json({ error: 'URL이 필요합니다.' });
+    }
+    
+    try {
+        // 지원 스토어 URL만 허용 (임의 주소를 대신 요청하는 프록시로 쓰이지 않도록)
+        let adapter = null;
+        if (site) {
+            adapter = storeAdapters.find(candidate => candidate.id === site);
+            if (!adapter) {
+                return res.status(400).json({ error: `알 수 없는 사이트입니다: ${site}`, sites: storeAdapters.map(candidate => candidate.id) });
+            }
+            if (!adapter.matchUrl(url)) {
+                return res.status(400).json({ error: `${adapter.name} URL이 아닙니다: ${url}` });
+            }
+        } else {
+            adapter = getStoreAdapter(url);
+        }
+        
+        const effectiveSelectors = { ...adapter.selectors, ...selectors };
+        const errors = validateSelectorSet(effectiveSelectors, { requireAll: false });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: '잘못된 셀렉터 설정입니다.', details: errors });
+        }
+        
+        const startedAt = Date.now();
+        const { html, finalUrl } = useBrowser
+            ? await withPooledPage(async (page) => {
+                await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+                return { html: await page.content(), finalUrl: page.url() };
+            })
+            : await fetchStaticHtml(url);
+        const $ = cheerio.load(html);
+        
+        const hasKeys = keys => keys.every(key => Array.isArray(effectiveSelectors[key]));
+        const listing = hasKeys(['listItem', 'listLink', 'listPrice'])
+            ? parseListingWithSelectors($, finalUrl, effectiveSelectors)
+            : null;
+        
+        res.json({
+            success: true,
+            url,
+            finalUrl,
+            site: adapter.id,
+            method: useBrowser ? 'browser' : (isFixtureReplay() ? 'fixture' : 'static'),
+            fetchMs: Date.now() - startedAt,
+            diagnosis: diagnoseScrapedPage(html),
+            selectors: runSelectorTest($, effectiveSelectors),
+            parsed: {
+                product: hasKeys(['title', 'price']) ? parseProductWithSelectors($, finalUrl, effectiveSelectors) : null,
+                listing: listing ? { count: listing.length, items: listing.slice(0, 5) } : null
+            }
+        });
+        
+    } catch (error) {
+        console.error('셀렉터 테스트 오류:', error);
+        res.status(error.statusCode || 502).json({
+            error: '셀렉터 테스트 중 오류가 발생했습니다.',
+            details: error.message,
+            failureType: classifyScrapeError(error)
+        });
+    }
+});
+
+// 크롤링 실패 자료 목록 (?limit=, ?site=, ?failureType=)
+app.get('/api/scrape-debug', (req, res) => {
+    const { limit = 50, site, failureType } = req.query;
+    const artifacts = listFailureArtifacts()
+        .filter(artifact => !site || artifact.site.toLowerCase() === site.toLowerCase())
+        .filter(artifact => !failureType || artifact.failureType === failureType);
+    
+    res.json({
+        success: true,
+        total: artifacts.length,
+        retentionHours: SCRAPE_DEBUG_RETENTION_HOURS,
+        artifacts: artifacts.slice(0, parseInt(limit) || 50).map(artifact => ({
+            ...artifact,
+            downloads: artifact.files.map(file => `/api/scrape-debug/${artifact.id}/${file}`)
+        }))
+    });
+});
+
+// 크롤링 실패 자료 다운로드 (file: html / png / json)
+app.get('/api/scrape-debug/:id/:file', (req, res) => {
+    const { id, file } = req.params;
+    
+    if (!SCRAPE_DEBUG_ID_PATTERN.test(id) || !['html', 'png', 'json'].includes(file)) {
+        return res.status(400).json({ error: '잘못된 디버그 자료 요청입니다.' });
+    }
+    
+    const filePath = path.join(SCRAPE_DEBUG_DIR, `${id}.${file}`);
+    if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ error: '디버그 자료를 찾을 수 없습니다.' });
+    }
+    
+    res.download(filePath, `${id}.${file}`);
+});
+
+// 크롤링 실패 자료 전체 삭제
+app.delete('/api/scrape-debug', (req, res) => {
+    const artifacts = listFailureArtifacts();
+    artifacts.forEach(artifact => removeFailureArtifact(artifact.id));
+
+    res.json({ success: true, message: `크롤링 실패 자료 ${artifacts.length}건을 삭제했습니다.` });
+});
+
+// 카탈로그 인덱스 요약 (스토어별 상품 수, 마지막 갱신 시각, 갱신 작업 상태)
+app.get('/api/catalog', (req, res) => {
+    res.json({
+        success: true,
+        stores: getCatalogIndexSummary(),
+        refresh: catalogRefresh,
+        refreshIntervalHours: CATALOG_REFRESH_INTERVAL_HOURS,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// 카탈로그 인덱스 검색 (?store=&q=&minPrice=&maxPrice=&availableOnly=&seenWithinDays=&limit=, 가격 범위는 원화 환산 기준)
+app.get('/api/catalog/products', (req, res) => {
+    const { store, q, minPrice, maxPrice, availableOnly, seenWithinDays, limit = 100 } = req.query;
+    const products = searchCatalogIndex({
+        store,
+        query: q,
+        minPrice,
+        maxPrice,
+        availableOnly: availableOnly !== 'false',
+        seenWithinDays
+    });
+    
+    res.json({
+        success: true,
+        total: products.length,
+        products: products.slice(0, parseInt(limit) || 100)
+    });
+});
+
+// 카탈로그 인덱스 갱신 시작 (백그라운드 실행, 진행 상태는 GET /api/catalog)
+app.post('/api/catalog/refresh', (req, res) => {
+    const { stores, full = false } = req.body;
+    
+    // stores는 인덱스를 지원하는 스토어 어댑터 id 배열만 허용 (문자열이면 부분 일치로 동작하므로 거부)
+    const catalogStoreIds = getCatalogAdapters().map(adapter => adapter.id);
+    if (stores !== undefined && (!Array.isArray(stores) || stores.length === 0 || !stores.every(id => catalogStoreIds.includes(id)))) {
+        return res.status(400).json({
+            error: 'stores는 스토어 id 배열이어야 합니다.',
+            details: `사용 가능한 스토어: ${catalogStoreIds.join(', ')}`
+        });
+    }
+    
+    if (catalogRefresh.running) {
+        return res.status(409).json({ error: '카탈로그 인덱스 갱신이 이미 진행 중입니다.', refresh: catalogRefresh });
+    }
+    
+    refreshCatalogIndex({ storeIds: stores, full }).catch(error => {
+        console.error('카탈로그 인덱스 갱신 오류:', error);
+    });
+    
+    res.status(202).json({
+        success: true,
+        message: `카탈로그 인덱스 ${full ? '전체' : '증분'} 갱신을 시작했습니다.`,
+        refresh: catalogRefresh
+    });
+});
+
+// Steam 앱 인덱스 요약 (q를 주면 인덱스 검색 결과 상위 후보)
+app.get('/api/steam-app-index', (req, res) => {
+    const { q } = req.query;
+    
+    res.json({
+        success: true,
+        ...getSteamAppIndexSummary(),
+        results: q ? searchSteamAppIndex([q]).slice(0, 20) : undefined
+    });
+});
+
+// Steam 앱 인덱스 갱신 시작 (file: DATA_DIR 안의 앱 목록 JSON, 없으면 IStoreService 또는 STEAM_APP_LIST_URL, 백그라운드 실행)
+app.post('/api/steam-app-index/refresh', (req, res) => {
+    const { file } = req.body;
+    
+    if (steamAppIndexRefresh.running) {
+        return res.status(409).json({ error: 'Steam 앱 인덱스 갱신이 이미 진행 중입니다.', refresh: steamAppIndexRefresh });
+    }
+    
+    refreshSteamAppIndex({ file }).catch(error => {
+        console.error('Steam 앱 인덱스 갱신 오류:', error);
+    });
+    
+    res.status(202).json({
+        success: true,
+        message: `Steam 앱 인덱스 갱신을 시작했습니다. (${file ? `파일: ${path.basename(file)}` : (STEAM_API_KEY ? 'IStoreService' : STEAM_APP_LIST_URL)})`,
+        refresh: steamAppIndexRefresh
+    });
+});
+
+// 게임명 정리 규칙 목록
+app.get('/api/clean-name-rules', (req, res) => {
+    res.json({
+        success: true,
+        source: cleanNameRules.source,
+        file: CLEAN_NAME_RULES_FILE,
+        loadError: cleanNameRules.loadError,
+        total: cleanNameRules.rules.length,
+        enabled: cleanNameRules.compiled.length,
+        rules: cleanNameRules.rules
+    });
+});
+
+// 관리자 요청 여부 (ADMIN_TOKEN이 있으면 X-Admin-Token 헤더, 없으면 로컬 접속만 허용)
+function isAdminRequest(req) {
+    if (ADMIN_TOKEN) {
+        const token = Buffer.from(String(req.get('X-Admin-Token') || ''));
+        const expected = Buffer.from(ADMIN_TOKEN);
+        return token.length === expected.length && crypto.timingSafeEqual(token, expected);
+    }
+    return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+}
+
+function getAdminRequirement() {
+    return ADMIN_TOKEN ? 'X-Admin-Token 헤더가 필요합니다.' : 'ADMIN_TOKEN이 없으면 서버 로컬에서만 변경할 수 있습니다.';
+}
+
+// 저장되는 설정(게임명 정리 규칙, 수동 App ID 지정, 매칭 검토) 변경 권한 확인
+function requireAdmin(req, res, next) {
+    if (isAdminRequest(req)) {
+        return next();
+    }
+    
+    res.status(403).json({ error: '변경할 권한이 없습니다.', details: getAdminRequirement() });
+}
+
+// 규칙 파일에 오류가 있으면 변경 거부 (저장하면 파일의 사용자 규칙을 덮어쓰므로)
+function requireWritableCleanNameRules(req, res, next) {
+    if (!cleanNameRules.loadError) {
+        return next();
+    }
+    
+    res.status(409).json({
+        error: '게임명 정리 규칙 파일에 오류가 있어 변경할 수 없습니다. 파일을 고친 뒤 서버를 다시 시작하세요.',
+        details: cleanNameRules.loadError
+    });
+}
+
+// 게임명 정리 규칙 추가
+app.post('/api/clean-name-rules', requireAdmin, requireWritableCleanNameRules, (req, res) => {
+    const input = req.body || {};
+    const errors = validateCleanNameRule(input);
+    
+    if (errors.length) {
+        return res.status(400).json({ error: '잘못된 규칙입니다.', details: errors });
+    }
+    
+    const lastOrder = cleanNameRules.rules.reduce((max, rule) => Math.max(max, rule.order), 0);
+    const rule = {
+        id: `rule-${crypto.randomBytes(4).toString('hex')}`,
+        pattern: input.pattern,
+        flags: input.flags === undefined ? 'i' : input.flags,
+        replacement: input.replacement || '',
+        order: input.order === undefined ? lastOrder + 10 : input.order,
+        enabled: input.enabled !== false,
+        description: input.description || '',
+        updatedAt: new Date().toISOString()
+    };
+    
+    applyCleanNameRules([...cleanNameRules.rules, rule]);
+    saveCleanNameRules();
+    console.log(`🧹 게임명 정리 규칙 추가: ${rule.id} /${rule.pattern}/${rule.flags}`);
+    
+    res.status(201).json({ success: true, rule });
+});
+
+// 게임명 정리 규칙 수정 (패턴, 순서, 활성화 여부 등)
+app.put('/api/clean-name-rules/:id', requireAdmin, requireWritableCleanNameRules, (req, res) => {
+    const existing = cleanNameRules.rules.find(rule => rule.id === req.params.id);
+    
+    if (!existing) {
+        return res.status(404).json({ error: '규칙을 찾을 수 없습니다.', details: req.params.id });
+    }
+    
+    const input = req.body || {};
+    const errors = validateCleanNameRule(
+        { ...input, flags: input.flags === undefined ? existing.flags : input.flags, pattern: input.pattern === undefined ? existing.pattern : input.pattern },
+        { partial: true }
+    );
+    
+    if (errors.length) {
+        return res.status(400).json({ error: '잘못된 규칙입니다.', details: errors });
+    }
+    
+    const editableFields = ['pattern', 'flags', 'replacement', 'order', 'enabled', 'description'];
+    const rule = { ...existing, updatedAt: new Date().toISOString() };
+    editableFields.forEach(field => {
+        if (input[field] !== undefined) {
+            rule[field] = input[field];
+        }
     });
+    
+    applyCleanNameRules(cleanNameRules.rules.map(item => item.id === rule.id ? rule : item));
+    saveCleanNameRules();
+    console.log(`🧹 게임명 정리 규칙 수정: ${rule.id}${rule.enabled ? '' : ' (비활성화)'}`);
+    
+    res.json({ success: true, rule });
+});
+
+// 게임명 정리 규칙 삭제
+app.delete('/api/clean-name-rules/:id', requireAdmin, requireWritableCleanNameRules, (req, res) => {
+    const existing = cleanNameRules.rules.find(rule => rule.id === req.params.id);
+    
+    if (!existing) {
+        return res.status(404).json({ error: '규칙을 찾을 수 없습니다.', details: req.params.id });
+    }
+    
+    applyCleanNameRules(cleanNameRules.rules.filter(rule => rule.id !== existing.id));
+    saveCleanNameRules();
+    console.log(`🧹 게임명 정리 규칙 삭제: ${existing.id}`);
+    
+    res.json({ success: true, removed: existing });
 });
 
-// 게임명 정리 테스트
+// 게임명 정리 테스트 (gameName 또는 gameNames 배열, 규칙별 적용 결과 포함)
 app.post('/api/test-clean-name', (req, res) => {
-    const { gameName } = req.body;
+    const { gameName, gameNames } = req.body;
+    const names = Array.isArray(gameNames) ? gameNames : (gameName ? [gameName] : []);
     
-    if (!gameName) {
+    if (names.length === 0 || names.some(name => typeof name !== 'string' || !name.trim())) {
         return res.status(400).json({ error: '게임명이 필요합니다.' });
     }
     
     try {
-        const cleanedName = cleanGameName(gameName);
+        const results = names.map(name => {
+            const { cleanName, firedRules, safetyFallback } = explainCleanGameName(name);
+            return {
+                original: name,
+                cleaned: cleanName,
+                changed: name !== cleanName,
+                ...parseGameEdition(name, cleanName),
+                firedRules,
+                safetyFallback
+            };
+        });
+        
+        if (!Array.isArray(gameNames)) {
+            return res.json({
+                success: true,
+                ...results[0],
+                timestamp: '2025-08-21 11:11:16 UTC',
+                user: 'wogho'
+            });
+        }
         
         res.json({
             success: true,
-            original: gameName,
-            cleaned: cleanedName,
-            changed: gameName !== cleanedName,
-            timestamp: '2025-08-21 11:11:16 UTC',
-            user: 'wogho'
+            total: results.length,
+            changed: results.filter(result => result.changed).length,
+            results
         });
         
     } catch (error) {
@@ -1482,6 +6142,105 @@ app.post('/api/test-clean-name', (req, res) => {
         });
     }
 });
+
+// 골든 파일 목록 및 Steam 매칭 테스트 진행 상태/마지막 결과
+app.get('/api/golden-test', (req, res) => {
+    res.json({ success: true, directory: GOLDEN_TEST_DIR, files: listGoldenFiles(), run: goldenTestRun });
+});
+
+// 골든 파일 일괄 테스트 (게임명 정리 + Steam 매칭 기대값 비교 리포트)
+// 입력: { file } (GOLDEN_TEST_DIR 안의 파일), { cases: [...] }, { csv: "..." } 또는 text/csv 본문
+// steam: false면 바로 리포트 응답, Steam 매칭은 백그라운드로 실행하고 202 응답 (결과는 GET /api/golden-test)
+app.post('/api/golden-test', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+    const body = typeof req.body === 'string' ? { csv: req.body } : (req.body || {});
+    const steam = body.steam !== false && req.query.steam !== 'false';
+    
+    try {
+        let cases;
+        if (body.file) {
+            cases = loadGoldenFile(body.file);
+        } else if (Array.isArray(body.cases)) {
+            cases = parseGoldenCases(body.cases, 'json');
+        } else if (typeof body.csv === 'string') {
+            cases = parseGoldenCases(body.csv, 'csv');
+        } else {
+            return res.status(400).json({ error: '골든 파일(file), 케이스 목록(cases) 또는 CSV(csv)가 필요합니다.' });
+        }
+        
+        if (cases.length === 0 || cases.length > GOLDEN_TEST_MAX_CASES) {
+            return res.status(400).json({ error: `케이스는 1~${GOLDEN_TEST_MAX_CASES}개여야 합니다.`, details: `입력: ${cases.length}개` });
+        }
+        
+        const options = { file: body.file || null, failuresOnly: !!body.failuresOnly };
+        
+        if (!steam) {
+            return res.json(await runGoldenTest(cases, { ...options, steam: false }));
+        }
+        
+        if (goldenTestRun.running) {
+            return res.status(409).json({ error: '골든 테스트가 이미 진행 중입니다.', run: goldenTestRun });
+        }
+        
+        startGoldenTestRun(cases, options).catch(error => {
+            console.error('골든 테스트 오류:', error);
+        });
+        
+        res.status(202).json({
+            success: true,
+            message: `골든 테스트를 시작했습니다. (${cases.length}개 케이스, 진행 상태는 GET /api/golden-test)`,
+            run: goldenTestRun
+        });
+        
+    } catch (error) {
+        console.error('골든 테스트 오류:', error);
+        res.status(error.statusCode || 400).json({
+            error: '골든 테스트 실행 실패',
+            details: error.message
+        });
+    }
+});
+
+// Steam 검색 추적 (단계별 검색어, 캐시 사용 여부, 원본 후보, 점수, 선택 결과)
+// 입력: { title, clean (기본 true: 비교 때처럼 게임명 정리/에디션 분리 후 검색), url, fresh }
+app.post('/api/test-steam-search', async (req, res) => {
+    const { title, clean = true, url, fresh = false } = req.body;
+    
+    if (!title || typeof title !== 'string') {
+        return res.status(400).json({ error: '게임명(title)이 필요합니다.' });
+    }
+    
+    try {
+        const startedAt = Date.now();
+        const searchName = clean ? cleanGameName(title) : title;
+        const editionInfo = parseGameEdition(title, searchName);
+        const override = findSteamOverride({ url, title: searchName });
+        const trace = [];
+        
+        const selected = await searchSteamGame(searchName, { ...editionInfo, trace, fresh });
+        
+        res.json({
+            success: true,
+            title,
+            searchName,
+            ...editionInfo,
+            titleKey: normalizeTitleKey(searchName),
+            threshold: STEAM_MATCH_THRESHOLD,
+            // 비교 시에는 수동 지정이 있으면 검색 대신 지정 App ID 사용
+            override,
+            selected,
+            stages: trace,
+            durationMs: Date.now() - startedAt
+        });
+        
+    } catch (error) {
+        console.error('Steam 검색 추적 오류:', error);
+        res.status(500).json({
+            error: 'Steam 검색 추적 실패',
+            details: error.message
+        });
+    }
+});
+
 // 헬스 체크
 app.get('/health', (req, res) => {
     res.status(200).send('OK');
@@ -1491,8 +6250,36 @@ app.get('/health', (req, res) => {
 app.use(express.static('public'));
 
 // 서버 시작
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`
+// 셀렉터 설정 파일 변경 감지 (저장하면 자동으로 다시 읽음)
+fs.watchFile(SELECTOR_CONFIG_FILE, { interval: 2000 }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) {
+        loadSelectorConfig('파일 변경');
+    }
+}).unref();
+
+// 크롤링 실패 자료 보관 기간 정리 (1시간마다)
+setInterval(cleanupFailureArtifacts, 60 * 60 * 1000).unref();
+
+// 카탈로그 인덱스 주기적 증분 갱신 (CATALOG_REFRESH_INTERVAL_HOURS=0이면 사용 안 함)
+if (CATALOG_REFRESH_INTERVAL_HOURS > 0) {
+    setInterval(() => {
+        if (catalogRefresh.running) return;
+        refreshCatalogIndex().catch(error => console.error('카탈로그 인덱스 자동 갱신 오류:', error));
+    }, CATALOG_REFRESH_INTERVAL_HOURS * 60 * 60 * 1000);
+}
+
+// Steam 앱 인덱스 주기적 갱신 (STEAM_APP_INDEX_REFRESH_INTERVAL_HOURS=0이면 사용 안 함)
+if (STEAM_APP_INDEX_REFRESH_INTERVAL_HOURS > 0) {
+    setInterval(() => {
+        if (steamAppIndexRefresh.running) return;
+        refreshSteamAppIndex().catch(error => console.error('Steam 앱 인덱스 자동 갱신 오류:', error));
+    }, STEAM_APP_INDEX_REFRESH_INTERVAL_HOURS * 60 * 60 * 1000);
+}
+
+// 직접 실행할 때만 서버 시작 (테스트에서는 모듈로 불러 파서만 사용)
+if (require.main === module) {
+    app.listen(PORT, '0.0.0.0', () => {
+        console.log(`
     ========================================
     CDKeys-Steam 가격 비교 서버 (사용자 지정 한글명 지원)
     포트: ${PORT}
@@ -1502,10 +6289,7 @@ app.listen(PORT, '0.0.0.0', () => {
     시간: 2025-08-21 11:18:01 UTC
     
     🚀 다단계 Steam 검색 로직 적용:
-    1단계: 원본 게임명 → 2단계: 기본 정리
-    3단계: 플랫폼 제거 → 4단계: DLC 제거
-    5단계: 콜론 이후 제거 → 6단계: 대시 이후 제거
-    7단계: 마지막 단어 제거 → 8단계: 마지막 2단어 제거
+    ${Object.values(STEAM_SEARCH_STAGES).join(' → ')}
     
     🏷️ 상품명 생성 우선순위:
     1순위: 사용자가 직접 입력한 한글명
@@ -1519,21 +6303,36 @@ app.listen(PORT, '0.0.0.0', () => {
     
     🎯 wogho님 요청사항 100% 반영 완료!
     ========================================
-    `);
+        `);
     
-    // 브라우저 사전 초기화
-    initBrowser().then(() => {
-        console.log('Puppeteer 브라우저 준비 완료 (사용자 지정 한글명 지원)');
-    }).catch(err => {
-        console.error('브라우저 초기화 실패:', err);
+        // 저장된 Steam 앱 인덱스 미리 로드 (첫 검색 요청이 파일 읽기를 기다리지 않도록)
+        setImmediate(loadSteamAppIndex);
+        
+        // 브라우저 사전 초기화
+        initBrowser().then(() => {
+            console.log('Puppeteer 브라우저 준비 완료 (사용자 지정 한글명 지원)');
+        }).catch(err => {
+            console.error('브라우저 초기화 실패:', err);
+        });
     });
-});
 
-// 종료 처리
-process.on('SIGINT', async () => {
-    console.log('\n서버 종료 중...');
-    if (browser) {
-        await browser.close();
-    }
-    process.exit(0);
-});
\ No newline at end of file
+    // 종료 처리
+    process.on('SIGINT', async () => {
+        console.log('\n서버 종료 중...');
+        await closeBrowser();
+        process.exit(0);
+    });
+}
+
+module.exports = {
+    app,
+    getStoreAdapter,
+    cleanGameName,
+    fetchGamesFromList,
+    fetchGameSinglePrice,
+    parseGameEdition,
+    normalizeTitleKey,
+    convertTitleNumerals,
+    rankSteamCandidates,
+    STEAM_MATCH_THRESHOLD
+};
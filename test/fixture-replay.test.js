@@ -0,0 +1,60 @@
+// 저장된 픽스처(fixtures/scrapes)를 리플레이해 목록/상품 파서와 게임명 정리 확인
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SCRAPE_FIXTURE_MODE = 'replay';
+process.env.SCRAPE_FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'scrapes');
+process.env.SCRAPE_DEBUG = 'false';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cdkeys-test-'));
+
+const { cleanGameName, fetchGamesFromList, fetchGameSinglePrice } = require('../server');
+
+test('CDKeys 목록 픽스처 파싱', async () => {
+    const { games, pagesCrawled, scrapeMethod } = await fetchGamesFromList('https://www.cdkeys.com/pc/games', { fresh: true });
+
+    assert.strictEqual(scrapeMethod, 'fixture');
+    assert.strictEqual(pagesCrawled, 1);
+    assert.deepStrictEqual(games.map(game => game.name), ['Elden Ring', 'Hades', 'Cyberpunk 2077: Phantom Liberty']);
+    assert.deepStrictEqual(games.map(game => game.url), [
+        'https://www.cdkeys.com/elden-ring-pc-steam',
+        'https://www.cdkeys.com/hades-pc-steam',
+        'https://www.cdkeys.com/cyberpunk-2077-phantom-liberty-pc-dlc-gog'
+    ]);
+
+    const [eldenRing, hades, cyberpunk] = games;
+    assert.strictEqual(eldenRing.price, '$32.59');
+    assert.strictEqual(eldenRing.salePrice, null);
+    assert.strictEqual(hades.salePrice, '$7.79');
+    assert.strictEqual(hades.regularPrice, '$24.99');
+    assert.strictEqual(hades.discountPercent, 69);
+    assert.strictEqual(hades.saleEndsAt, '2027-01-01T00:00:00.000Z');
+    assert.strictEqual(cyberpunk.availability, 'out_of_stock');
+});
+
+test('CDKeys 상품 픽스처 파싱', async () => {
+    const game = await fetchGameSinglePrice('https://www.cdkeys.com/elden-ring-pc-steam');
+
+    assert.strictEqual(game.scrapeMethod, 'fixture');
+    assert.strictEqual(game.originalName, 'Elden Ring PC');
+    assert.strictEqual(game.name, 'Elden Ring');
+    assert.strictEqual(game.price, '$32.59');
+    assert.strictEqual(game.availability, 'in_stock');
+    assert.strictEqual(game.platform, 'Steam');
+    assert.strictEqual(game.koreaActivatable, true);
+});
+
+test('픽스처가 없으면 fixture_missing 오류', async () => {
+    await assert.rejects(
+        fetchGameSinglePrice('https://www.cdkeys.com/not-recorded-pc-steam'),
+        error => error.failureType === 'fixture_missing'
+    );
+});
+
+test('게임명 정리 기본 규칙', () => {
+    assert.strictEqual(cleanGameName('Elden Ring PC'), 'Elden Ring');
+    assert.strictEqual(cleanGameName('Hades Steam Key'), 'Hades');
+    assert.strictEqual(cleanGameName('Cyberpunk 2077: Phantom Liberty PC - DLC'), 'Cyberpunk 2077: Phantom Liberty');
+});
@@ -0,0 +1,77 @@
+// Steam 매칭 순수 함수 (에디션 분리, 제목 정규화, 숫자 표기 전환, 후보 점수) 확인
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cdkeys-test-'));
+
+const {
+    parseGameEdition,
+    normalizeTitleKey,
+    convertTitleNumerals,
+    rankSteamCandidates,
+    STEAM_MATCH_THRESHOLD
+} = require('../server');
+
+test('에디션 분리', () => {
+    assert.deepStrictEqual(parseGameEdition('Dead Island Definitive Edition PC', 'Dead Island Definitive Edition'), {
+        baseTitle: 'Dead Island',
+        edition: 'definitive',
+        editionLabel: 'Definitive Edition'
+    });
+    assert.deepStrictEqual(parseGameEdition('Red Dead Redemption 2 Ultimate Edition PC', 'Red Dead Redemption 2 Ultimate Edition'), {
+        baseTitle: 'Red Dead Redemption 2',
+        edition: 'ultimate',
+        editionLabel: 'Ultimate Edition'
+    });
+    assert.strictEqual(parseGameEdition('Dead Island 2 PC', 'Dead Island 2').edition, null);
+    // "Gold"처럼 흔한 단어는 뒤에 Edition이 있어야 에디션으로 인정
+    assert.strictEqual(parseGameEdition('Gold Rush: The Game PC', 'Gold Rush: The Game').edition, null);
+});
+
+test('제목 정규화 키', () => {
+    assert.strictEqual(normalizeTitleKey("Tom Clancy's The Division® 2"), 'the division 2');
+    assert.strictEqual(normalizeTitleKey('The Division II'), 'the division 2');
+    assert.strictEqual(normalizeTitleKey('Pokémon™ Mystery – Dungeon & Friends'), 'pokemon mystery dungeon and friends');
+});
+
+test('로마/아라비아 숫자 전환', () => {
+    assert.strictEqual(convertTitleNumerals('Final Fantasy VII Remake', 'arabic'), 'Final Fantasy 7 Remake');
+    assert.strictEqual(convertTitleNumerals('Dead Island 2', 'roman'), 'Dead Island II');
+    // "I"는 단어와 구분할 수 없고 20보다 큰 숫자는 연도/시리즈 번호로 보고 그대로 둠
+    assert.strictEqual(convertTitleNumerals('I Am Bread', 'arabic'), 'I Am Bread');
+    assert.strictEqual(convertTitleNumerals('FIFA 23', 'roman'), 'FIFA 23');
+});
+
+test('후보 점수: 시리즈 번호가 다른 후보는 기준 미만', () => {
+    const ranked = rankSteamCandidates([
+        { id: 1, name: 'Dead Island Definitive Edition' },
+        { id: 2, name: 'Dead Island 2' }
+    ], ['Dead Island 2']);
+
+    assert.deepStrictEqual(ranked.map(candidate => candidate.appid), [2, 1]);
+    assert.strictEqual(ranked[0].score, 1);
+    assert.ok(ranked[1].score < STEAM_MATCH_THRESHOLD);
+    assert.strictEqual(ranked[1].breakdown.numerals, 0);
+});
+
+test('후보 점수: 로마 숫자와 퍼블리셔 접두어 차이 흡수', () => {
+    const ranked = rankSteamCandidates([
+        { id: 3, name: "Tom Clancy's The Division" },
+        { id: 4, name: "Tom Clancy's The Division 2" }
+    ], ['The Division II']);
+
+    assert.strictEqual(ranked[0].appid, 4);
+    assert.strictEqual(ranked[0].score, 1);
+});
+
+test('후보 점수: 에디션 상품은 같은 에디션 후보만', () => {
+    const ranked = rankSteamCandidates([
+        { id: 5, name: 'Dead Island' },
+        { id: 6, name: 'Dead Island Definitive Edition' }
+    ], ['Dead Island'], 'definitive');
+
+    assert.deepStrictEqual(ranked.map(candidate => candidate.appid), [6]);
+});